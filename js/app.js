@@ -141,9 +141,30 @@
       
       if (!particlesContainer) return;
       
-      // Create particles
-      for (let i = 0; i < 50; i++) {
-        this.createParticle(particlesContainer);
+      this.particlesContainer = particlesContainer;
+      this.particleTimers = new Set();
+      
+      // Particles only run under the full motion policy
+      this.toggleParticles(this.framework.motion === 'full');
+      document.addEventListener('aydocs:motion-change', (e) => {
+        this.toggleParticles(e.detail.motion === 'full');
+      });
+    }
+
+    toggleParticles(enabled) {
+      if (enabled === this.particlesEnabled) return;
+      
+      this.particlesEnabled = enabled;
+      
+      if (enabled) {
+        // Create particles
+        for (let i = 0; i < 50; i++) {
+          this.createParticle(this.particlesContainer);
+        }
+      } else {
+        this.particleTimers.forEach(timer => clearTimeout(timer));
+        this.particleTimers.clear();
+        this.particlesContainer.innerHTML = '';
       }
     }
 
@@ -174,13 +195,17 @@
       container.appendChild(particle);
       
       // Remove particle after animation
-      setTimeout(() => {
+      const timer = setTimeout(() => {
+        this.particleTimers.delete(timer);
+        
         if (particle.parentNode) {
           particle.parentNode.removeChild(particle);
         }
         // Create new particle
         this.createParticle(container);
       }, (duration + delay) * 1000);
+      
+      this.particleTimers.add(timer);
     }
 
     // ========================================
@@ -458,54 +483,12 @@
     // ========================================
 
     initScrollEffects() {
-      // Parallax effect for hero section
-      this.initParallaxEffect();
-      
-      // Reveal animations for sections
-      this.initRevealAnimations();
+      // [data-animate] reveals are handled by the framework observer
       
       // Navbar scroll effect
       this.initNavbarScrollEffect();
     }
 
-    initParallaxEffect() {
-      const heroSection = document.querySelector('.hero-section');
-      
-      if (!heroSection) return;
-      
-      window.addEventListener('scroll', this.framework.utils.throttle(() => {
-        const scrolled = window.pageYOffset;
-        const parallax = heroSection.querySelector('.hero-background');
-        
-        if (parallax) {
-          parallax.style.transform = `translateY(${scrolled * 0.5}px)`;
-        }
-      }, 16));
-    }
-
-    initRevealAnimations() {
-      const sections = document.querySelectorAll('section');
-      
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add('revealed');
-            
-            // Animate child elements
-            const animatedElements = entry.target.querySelectorAll('[data-animate]');
-            animatedElements.forEach((element, index) => {
-              setTimeout(() => {
-                const animation = element.getAttribute('data-animate');
-                this.framework.animations.animate(element, animation);
-              }, index * 100);
-            });
-          }
-        });
-      }, { threshold: 0.1 });
-
-      sections.forEach(section => observer.observe(section));
-    }
-
     initNavbarScrollEffect() {
       const navbar = document.getElementById('navbar');
       
@@ -537,12 +520,7 @@
         // Ctrl/Cmd + D - Toggle theme
         if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
           e.preventDefault();
-          this.framework.theme.toggleTheme();
-        }
-        
-        // Escape - Close modals
-        if (e.key === 'Escape') {
-          this.closeAllModals();
+          this.framework.theme.toggleTheme({ source: 'user' });
         }
       });
     }
@@ -586,11 +564,7 @@
     }
 
     closeAllModals() {
-      this.framework.modals.forEach(modal => {
-        if (modal.isOpen) {
-          modal.close();
-        }
-      });
+      this.framework.closeAllModals();
     }
 
     // ========================================
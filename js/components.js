@@ -6,61 +6,33 @@
 (function() {
   'use strict';
 
-  // ========================================
-  // COMPONENT REGISTRY
-  // ========================================
-
-  class ComponentRegistry {
-    constructor() {
-      this.components = new Map();
-      this.observers = new Map();
-    }
-
-    register(name, component) {
-      this.components.set(name, component);
-    }
-
-    get(name) {
-      return this.components.get(name);
-    }
-
-    create(name, element, options = {}) {
-      const ComponentClass = this.get(name);
-      if (ComponentClass) {
-        return new ComponentClass(element, options);
-      }
-      throw new Error(`Component "${name}" not found`);
-    }
-  }
+  const framework = window.AYdocs;
+  const { BaseComponent } = framework;
 
   // ========================================
   // DROPDOWN COMPONENT
   // ========================================
 
-  class DropdownComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class DropdownComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         trigger: 'click',
         placement: 'bottom-start',
         offset: 8,
         closeOnClickOutside: true,
-        closeOnEscape: true,
-        ...options
+        closeOnEscape: true
       };
-      
+    }
+
+    init() {
       this.isOpen = false;
       this.dropdown = null;
       this.trigger = null;
       
-      this.init();
-    }
-
-    init() {
       if (!this.element) return;
       
       this.createDropdown();
-      this.bindEvents();
+      super.init();
     }
 
     createDropdown() {
@@ -71,6 +43,7 @@
       this.dropdown = document.createElement('div');
       this.dropdown.className = 'dropdown-menu';
       this.dropdown.setAttribute('data-dropdown-menu', '');
+      this.dropdown.setAttribute('data-aydocs-portal', '');
       
       // Get menu content
       const menuContent = this.element.querySelector('[data-dropdown-menu]');
@@ -152,7 +125,7 @@
       
       // Close on escape
       if (this.options.closeOnEscape) {
-        document.addEventListener('keydown', (e) => {
+        this.listen(document, 'keydown', (e) => {
           if (e.key === 'Escape' && this.isOpen) {
             this.close();
           }
@@ -161,7 +134,7 @@
       
       // Close on outside click
       if (this.options.closeOnClickOutside) {
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
           if (this.isOpen && !this.element.contains(e.target) && !this.dropdown.contains(e.target)) {
             this.close();
           }
@@ -189,6 +162,7 @@
     open() {
       if (this.isOpen) return;
       
+      framework.theme.inheritTheme(this.dropdown, this.element);
       this.positionDropdown();
       this.dropdown.style.display = 'block';
       
@@ -222,6 +196,8 @@
     }
 
     destroy() {
+      super.destroy();
+      
       if (this.dropdown && this.dropdown.parentNode) {
         this.dropdown.parentNode.removeChild(this.dropdown);
       }
@@ -232,27 +208,23 @@
   // TABS COMPONENT
   // ========================================
 
-  class TabsComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class TabsComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         activeTab: 0,
-        autoHeight: true,
-        ...options
+        autoHeight: true
       };
-      
+    }
+
+    init() {
       this.tabs = [];
       this.panels = [];
       this.activeIndex = this.options.activeTab;
       
-      this.init();
-    }
-
-    init() {
       if (!this.element) return;
       
       this.findTabsAndPanels();
-      this.bindEvents();
+      super.init();
       this.showTab(this.activeIndex);
     }
 
@@ -383,26 +355,22 @@
   // ACCORDION COMPONENT
   // ========================================
 
-  class AccordionComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class AccordionComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         allowMultiple: false,
-        allowToggle: true,
-        ...options
+        allowToggle: true
       };
-      
-      this.items = [];
-      this.activeItems = new Set();
-      
-      this.init();
     }
 
     init() {
+      this.items = [];
+      this.activeItems = new Set();
+      
       if (!this.element) return;
       
       this.findItems();
-      this.bindEvents();
+      super.init();
     }
 
     findItems() {
@@ -458,20 +426,22 @@
       this.activeItems.add(item);
       
       // Animate panel
-      panel.style.maxHeight = '0px';
-      panel.style.overflow = 'hidden';
-      panel.style.transition = 'max-height 0.3s ease';
-      
-      requestAnimationFrame(() => {
-        panel.style.maxHeight = `${panel.scrollHeight}px`;
-      });
-      
-      // Remove transition after animation
-      setTimeout(() => {
-        panel.style.maxHeight = '';
-        panel.style.overflow = '';
-        panel.style.transition = '';
-      }, 300);
+      if (framework.motion === 'full') {
+        panel.style.maxHeight = '0px';
+        panel.style.overflow = 'hidden';
+        panel.style.transition = 'max-height 0.3s ease';
+        
+        requestAnimationFrame(() => {
+          panel.style.maxHeight = `${panel.scrollHeight}px`;
+        });
+        
+        // Remove transition after animation
+        setTimeout(() => {
+          panel.style.maxHeight = '';
+          panel.style.overflow = '';
+          panel.style.transition = '';
+        }, 300);
+      }
       
       this.element.dispatchEvent(new CustomEvent('accordion:open', {
         detail: { item, panel, trigger }
@@ -484,19 +454,21 @@
       this.activeItems.delete(item);
       
       // Animate panel
-      panel.style.maxHeight = `${panel.scrollHeight}px`;
-      panel.style.overflow = 'hidden';
-      panel.style.transition = 'max-height 0.3s ease';
-      
-      requestAnimationFrame(() => {
-        panel.style.maxHeight = '0px';
-      });
-      
-      setTimeout(() => {
-        panel.style.maxHeight = '';
-        panel.style.overflow = '';
-        panel.style.transition = '';
-      }, 300);
+      if (framework.motion === 'full') {
+        panel.style.maxHeight = `${panel.scrollHeight}px`;
+        panel.style.overflow = 'hidden';
+        panel.style.transition = 'max-height 0.3s ease';
+        
+        requestAnimationFrame(() => {
+          panel.style.maxHeight = '0px';
+        });
+        
+        setTimeout(() => {
+          panel.style.maxHeight = '';
+          panel.style.overflow = '';
+          panel.style.transition = '';
+        }, 300);
+      }
       
       this.element.dispatchEvent(new CustomEvent('accordion:close', {
         detail: { item, panel, trigger }
@@ -532,32 +504,28 @@
   // CAROUSEL COMPONENT
   // ========================================
 
-  class CarouselComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class CarouselComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         autoplay: false,
         interval: 5000,
         loop: true,
         showDots: true,
-        showArrows: true,
-        ...options
+        showArrows: true
       };
-      
+    }
+
+    init() {
       this.slides = [];
       this.currentIndex = 0;
       this.autoplayTimer = null;
       this.isTransitioning = false;
       
-      this.init();
-    }
-
-    init() {
       if (!this.element) return;
       
       this.findSlides();
       this.createCarousel();
-      this.bindEvents();
+      super.init();
       
       if (this.options.autoplay) {
         this.startAutoplay();
@@ -691,10 +659,17 @@
       // Touch/swipe support
       this.addTouchSupport();
       
-      // Pause autoplay on hover
+      // Pause autoplay on hover, and whenever the motion policy drops below full
       if (this.options.autoplay) {
         this.element.addEventListener('mouseenter', () => this.stopAutoplay());
         this.element.addEventListener('mouseleave', () => this.startAutoplay());
+        this.listen(document, 'aydocs:motion-change', () => {
+          if (framework.motion === 'full') {
+            this.startAutoplay();
+          } else {
+            this.stopAutoplay();
+          }
+        });
       }
     }
 
@@ -773,7 +748,7 @@
       
       setTimeout(() => {
         this.isTransitioning = false;
-      }, 300);
+      }, framework.motion === 'full' ? 300 : 0);
       
       this.element.dispatchEvent(new CustomEvent('carousel:change', {
         detail: { index, slide: this.slides[index] }
@@ -807,7 +782,7 @@
     }
 
     startAutoplay() {
-      if (this.autoplayTimer) return;
+      if (this.autoplayTimer || framework.motion !== 'full') return;
       
       this.autoplayTimer = setInterval(() => {
         this.nextSlide();
@@ -822,6 +797,7 @@
     }
 
     destroy() {
+      super.destroy();
       this.stopAutoplay();
       
       if (this.container && this.container.parentNode) {
@@ -834,30 +810,28 @@
   // TOOLTIP COMPONENT
   // ========================================
 
-  class TooltipComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class TooltipComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         placement: 'top',
         offset: 8,
         delay: 200,
-        trigger: 'hover',
-        ...options
+        trigger: 'hover'
       };
-      
+    }
+
+    init() {
       this.tooltip = null;
       this.showTimer = null;
       this.hideTimer = null;
       this.isVisible = false;
       
-      this.init();
-    }
-
-    init() {
       if (!this.element) return;
       
       this.createTooltip();
-      this.bindEvents();
+      if (!this.tooltip) return;
+      
+      super.init();
     }
 
     createTooltip() {
@@ -872,6 +846,7 @@
       this.tooltip.className = 'tooltip';
       this.tooltip.textContent = text;
       this.tooltip.setAttribute('role', 'tooltip');
+      this.tooltip.setAttribute('data-aydocs-portal', '');
       
       document.body.appendChild(this.tooltip);
     }
@@ -893,7 +868,7 @@
       }
       
       // Close on escape
-      document.addEventListener('keydown', (e) => {
+      this.listen(document, 'keydown', (e) => {
         if (e.key === 'Escape' && this.isVisible) {
           this.hide();
         }
@@ -906,6 +881,7 @@
       clearTimeout(this.hideTimer);
       
       this.showTimer = setTimeout(() => {
+        framework.theme.inheritTheme(this.tooltip, this.element);
         this.positionTooltip();
         this.tooltip.classList.add('show');
         this.isVisible = true;
@@ -977,6 +953,7 @@
     }
 
     destroy() {
+      super.destroy();
       clearTimeout(this.showTimer);
       clearTimeout(this.hideTimer);
       
@@ -986,34 +963,25 @@
     }
   }
 
+  // ========================================
+  // REGISTER COMPONENTS
+  // ========================================
+
+  framework.register('dropdown', DropdownComponent);
+  framework.register('tabs', TabsComponent);
+  framework.register('accordion', AccordionComponent);
+  framework.register('carousel', CarouselComponent);
+  framework.register('tooltip', TooltipComponent, {}, {
+    selector: '[data-aydocs="tooltip"], [data-tooltip]'
+  });
+
   // ========================================
   // INITIALIZE COMPONENTS
   // ========================================
 
-  function initializeComponents() {
-    // Initialize dropdowns
-    document.querySelectorAll('[data-aydocs="dropdown"]').forEach(element => {
-      new DropdownComponent(element);
-    });
-    
-    // Initialize tabs
-    document.querySelectorAll('[data-aydocs="tabs"]').forEach(element => {
-      new TabsComponent(element);
-    });
-    
-    // Initialize accordions
-    document.querySelectorAll('[data-aydocs="accordion"]').forEach(element => {
-      new AccordionComponent(element);
-    });
-    
-    // Initialize carousels
-    document.querySelectorAll('[data-aydocs="carousel"]').forEach(element => {
-      new CarouselComponent(element);
-    });
-    
-    // Initialize tooltips
-    document.querySelectorAll('[data-tooltip]').forEach(element => {
-      new TooltipComponent(element);
+  function initializeComponents(root = document) {
+    ['dropdown', 'tabs', 'accordion', 'carousel', 'tooltip'].forEach(type => {
+      framework.mountComponents(type, root);
     });
   }
 
@@ -1030,11 +998,4 @@
     initializeComponents
   };
 
-  // Initialize components when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeComponents);
-  } else {
-    initializeComponents();
-  }
-
 })();
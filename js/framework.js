@@ -15,12 +15,22 @@
     constructor() {
       this.version = '1.0.0';
       this.components = new Map();
+      this.componentsByElement = new WeakMap();
+      this.observer = null;
       this.modals = new Map();
-      this.toasts = new Map();
+      this.toasts = toastStack.toasts;
       this.theme = new ThemeManager();
       this.animations = new AnimationManager();
       this.utils = new UtilityManager();
+      this.registry = new ComponentRegistry();
+      this.scrollObservers = new Map();
+      this.scrollAnimations = new WeakMap();
+      this.scrollLinked = new Set();
+      this.scrollFrame = null;
+      this.isScrollListening = false;
+      this.isReady = false;
       
+      this.registerDefaultComponents();
       this.init();
     }
 
@@ -36,21 +46,19 @@
     onReady() {
       console.log(`🚀 AYdocs Framework v${this.version} initialized`);
       
+      // Resolve the motion policy before anything animates
+      motion.init();
+      document.addEventListener('aydocs:motion-change', () => this.updateScrollLinked());
+      
       // Initialize theme
       this.theme.init();
       
-      // Initialize animations
-      this.animations.init();
-      
       // Initialize components
       this.initComponents();
       
       // Initialize modals
       this.initModals();
       
-      // Initialize toasts
-      this.initToasts();
-      
       // Initialize navigation
       this.initNavigation();
       
@@ -63,6 +71,11 @@
       // Initialize intersection observer for animations
       this.initIntersectionObserver();
       
+      // Watch the DOM for components added or removed later
+      this.initObserver();
+      
+      this.isReady = true;
+      
       // Dispatch ready event
       this.dispatchEvent('aydocs:ready', { framework: this });
     }
@@ -71,43 +84,211 @@
     // COMPONENT SYSTEM
     // ========================================
 
-    initComponents() {
-      // Initialize all components with data-aydocs attribute
-      const componentElements = document.querySelectorAll('[data-aydocs]');
-      componentElements.forEach(element => {
+    registerDefaultComponents() {
+      this.register('button', ButtonComponent);
+      this.register('card', CardComponent);
+      this.register('modal', ModalComponent);
+      this.register('toast', ToastComponent);
+      this.register('form', FormComponent);
+      this.register('wizard', WizardComponent);
+    }
+
+    register(name, Component, defaults = {}, options = {}) {
+      if (typeof Component !== 'function' || !(Component.prototype instanceof BaseComponent)) {
+        throw new TypeError(`Component "${name}" must extend AYdocs.BaseComponent`);
+      }
+
+      this.registry.register(name, Component, defaults, options);
+
+      // Components registered after startup still pick up existing markup
+      if (this.isReady) {
+        this.mountComponents(name);
+      }
+
+      return Component;
+    }
+
+    registerValidator(name, validate, message) {
+      if (typeof validate !== 'function') {
+        throw new TypeError(`Validator "${name}" must be a function`);
+      }
+
+      if (customValidators.has(name)) {
+        throw new Error(`Validator "${name}" is already registered`);
+      }
+
+      customValidators.set(name, { validate, message });
+    }
+
+    get BaseComponent() {
+      return BaseComponent;
+    }
+
+    get motion() {
+      return motion.level;
+    }
+
+    get modalStack() {
+      return modalStack;
+    }
+
+    get toast() {
+      return toastApi;
+    }
+
+    get sanitizer() {
+      return sanitizer;
+    }
+
+    set motion(level) {
+      motion.set(level);
+    }
+
+    initComponents(root = document) {
+      // Initialize every registered component found under root
+      this.registry.forEach(entry => this.mountComponents(entry.name, root));
+
+      // Warn about data-aydocs types nobody registered
+      const typed = Array.from(root.querySelectorAll('[data-aydocs]'));
+      if (root.nodeType === Node.ELEMENT_NODE && root.hasAttribute('data-aydocs')) {
+        typed.unshift(root);
+      }
+
+      typed.forEach(element => {
         const componentType = element.getAttribute('data-aydocs');
-        this.createComponent(componentType, element);
+        if (!this.registry.has(componentType)) {
+          console.warn(`Unknown component type: ${componentType}`);
+        }
       });
     }
 
+    mountComponents(type, root = document) {
+      const entry = this.registry.get(type);
+      if (!entry) return [];
+
+      const elements = Array.from(root.querySelectorAll(entry.selector));
+      if (root.nodeType === Node.ELEMENT_NODE && root.matches(entry.selector)) {
+        elements.unshift(root);
+      }
+
+      return elements.map(element => this.createComponent(type, element));
+    }
+
     createComponent(type, element, options = {}) {
-      const componentId = this.utils.generateId();
-      
-      switch (type) {
-        case 'button':
-          return new ButtonComponent(element, componentId, options);
-        case 'card':
-          return new CardComponent(element, componentId, options);
-        case 'modal':
-          return new ModalComponent(element, componentId, options);
-        case 'toast':
-          return new ToastComponent(element, componentId, options);
-        case 'form':
-          return new FormComponent(element, componentId, options);
-        case 'dropdown':
-          return new DropdownComponent(element, componentId, options);
-        case 'tabs':
-          return new TabsComponent(element, componentId, options);
-        case 'accordion':
-          return new AccordionComponent(element, componentId, options);
-        case 'carousel':
-          return new CarouselComponent(element, componentId, options);
-        case 'tooltip':
-          return new TooltipComponent(element, componentId, options);
-        default:
-          console.warn(`Unknown component type: ${type}`);
-          return null;
+      if (!this.registry.has(type)) {
+        console.warn(`Unknown component type: ${type}`);
+        return null;
+      }
+
+      // Never mount the same component type twice on one element
+      const mounted = element && this.componentsByElement.get(element);
+      if (mounted && mounted.has(type)) {
+        return mounted.get(type);
+      }
+
+      const elementOptions = element ? this.registry.readOptions(type, element) : {};
+      const component = this.registry.create(type, element, this.utils.generateId(), {
+        ...elementOptions,
+        ...options
+      });
+      component.componentType = type;
+      this.components.set(component.id, component);
+
+      if (element) {
+        if (!mounted) {
+          this.componentsByElement.set(element, new Map([[type, component]]));
+        } else {
+          mounted.set(type, component);
+        }
+      }
+
+      return component;
+    }
+
+    getInstance(element, type) {
+      if (typeof element === 'string') {
+        element = document.querySelector(element);
+      }
+
+      const mounted = element && this.componentsByElement.get(element);
+      if (!mounted) return null;
+
+      if (type) {
+        return mounted.get(type) || null;
+      }
+
+      return mounted.values().next().value || null;
+    }
+
+    getInstances(type) {
+      const instances = Array.from(this.components.values());
+      return type ? instances.filter(component => component.componentType === type) : instances;
+    }
+
+    destroyComponent(component) {
+      if (!component) return;
+
+      component.destroy();
+      this.components.delete(component.id);
+
+      const mounted = component.element && this.componentsByElement.get(component.element);
+      if (mounted) {
+        mounted.delete(component.componentType);
+        if (mounted.size === 0) {
+          this.componentsByElement.delete(component.element);
+        }
+      }
+    }
+
+    // ========================================
+    // DOM OBSERVER
+    // ========================================
+
+    initObserver() {
+      if (!('MutationObserver' in window)) return;
+
+      this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+      this.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-aydocs-theme']
+      });
+    }
+
+    handleMutations(mutations) {
+      let hasRemovals = false;
+
+      mutations.forEach(mutation => {
+        if (mutation.removedNodes.length > 0) {
+          hasRemovals = true;
+        }
+      });
+
+      // Tear down components whose element left the document
+      if (hasRemovals) {
+        this.components.forEach(component => {
+          if (component.element && !component.element.isConnected) {
+            this.destroyComponent(component);
+          }
+        });
       }
+
+      // Mount components in newly inserted markup
+      mutations.forEach(mutation => {
+        if (mutation.type === 'attributes') {
+          this.theme.syncScope(mutation.target);
+          return;
+        }
+
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+            this.theme.applyScopedThemes(node);
+            this.initComponents(node);
+            this.observeAnimations(node);
+          }
+        });
+      });
     }
 
     // ========================================
@@ -123,31 +304,127 @@
         document.body.appendChild(container);
       }
 
-      // Initialize modal triggers
-      const modalTriggers = document.querySelectorAll('[data-modal]');
-      modalTriggers.forEach(trigger => {
-        trigger.addEventListener('click', (e) => {
-          e.preventDefault();
-          const modalId = trigger.getAttribute('data-modal');
-          this.openModal(modalId);
-        });
+      // Modal triggers, delegated so triggers added later work too
+      document.addEventListener('click', (e) => {
+        const trigger = e.target.closest('[data-modal], [data-modal-src]');
+        if (!trigger) return;
+
+        e.preventDefault();
+
+        if (trigger.hasAttribute('data-modal')) {
+          this.openModal(trigger.getAttribute('data-modal'));
+        } else {
+          this.openModalFromTrigger(trigger);
+        }
       });
     }
 
+    // data-modal-src="#template-id" or a URL, with optional data-modal-title/-select/-size/-cache
+    openModalFromTrigger(trigger) {
+      if (!trigger.hasAttribute('data-modal-id')) {
+        trigger.setAttribute('data-modal-id', `modal-${this.utils.generateId()}`);
+      }
+
+      const src = trigger.getAttribute('data-modal-src');
+      const options = {
+        title: trigger.getAttribute('data-modal-title') || '',
+        size: trigger.getAttribute('data-modal-size') || 'md',
+        select: trigger.getAttribute('data-modal-select'),
+        cache: trigger.getAttribute('data-modal-cache') !== 'false'
+      };
+
+      if (src.startsWith('#')) {
+        options.template = src.slice(1);
+      } else {
+        options.src = src;
+      }
+
+      return this.openModal(trigger.getAttribute('data-modal-id'), options);
+    }
+
     openModal(modalId, options = {}) {
-      const modal = this.modals.get(modalId) || this.createModal(modalId, options);
+      const modal = this.findModal(modalId) || this.createModal(modalId, options);
       modal.open();
       return modal;
     }
 
     closeModal(modalId) {
-      const modal = this.modals.get(modalId);
+      const modal = this.findModal(modalId);
       if (modal) {
         modal.close();
       }
     }
 
+    closeAllModals() {
+      modalStack.closeAll();
+    }
+
+    /**
+     * Opens a modal wrapping a validated FormComponent. Resolves with the
+     * submitted data, or null when the modal is dismissed.
+     */
+    openFormModal(options = {}) {
+      const {
+        id = `modal-${this.utils.generateId()}`,
+        content = '',
+        form: formOptions = {},
+        submitText = 'Submit',
+        cancelText = 'Cancel',
+        ...modalOptions
+      } = options;
+
+      const modal = this.createModal(id, modalOptions);
+      const form = document.createElement('form');
+      form.className = 'modal-form';
+
+      if (content instanceof Node) {
+        form.appendChild(content);
+      } else {
+        form.innerHTML = content;
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'modal-form-actions';
+      actions.innerHTML = `
+        <button type="button" class="btn btn-secondary" data-modal-dismiss></button>
+        <button type="submit" class="btn btn-primary"></button>
+      `;
+      actions.querySelector('[data-modal-dismiss]').textContent = cancelText;
+      actions.querySelector('[type="submit"]').textContent = submitText;
+      form.appendChild(actions);
+
+      modal.setContent(form);
+      this.createComponent('form', form, {
+        resetOnSubmit: false,
+        notify: false,
+        ...formOptions,
+        handler: data => modal.close('submit', { data })
+      });
+
+      // Throw the modal away once it has animated out
+      modal.modal.addEventListener('aydocs:modal:close', () => {
+        modal.destroy();
+        this.modals.delete(id);
+      }, { once: true });
+
+      modal.open();
+      return modal.result.then(result => (result.reason === 'submit' ? result.data : null));
+    }
+
+    // Modals created from JS live in this.modals; markup modals are mounted components
+    findModal(modalId) {
+      if (this.modals.has(modalId)) return this.modals.get(modalId);
+
+      const element = document.getElementById(modalId);
+      return element ? this.getInstance(element, 'modal') : null;
+    }
+
     createModal(id, options = {}) {
+      // Recreating an id replaces the previous modal instead of leaving a duplicate in the DOM
+      if (this.modals.has(id)) {
+        this.modals.get(id).destroy();
+      }
+
       const modal = new ModalComponent(null, id, options);
       this.modals.set(id, modal);
       return modal;
@@ -157,40 +434,12 @@
     // TOAST SYSTEM
     // ========================================
 
-    initToasts() {
-      // Create toast container if it doesn't exist
-      if (!document.getElementById('toast-container')) {
-        const container = document.createElement('div');
-        container.id = 'toast-container';
-        container.className = 'toast-container';
-        document.body.appendChild(container);
-      }
-    }
-
     showToast(message, type = 'info', options = {}) {
-      const toast = new ToastComponent(null, this.utils.generateId(), {
-        message,
-        type,
-        ...options
-      });
-      
-      this.toasts.set(toast.id, toast);
-      toast.show();
-      
-      // Auto remove after duration
-      setTimeout(() => {
-        this.hideToast(toast.id);
-      }, options.duration || 5000);
-      
-      return toast;
+      return toastStack.show(message, { ...options, type });
     }
 
     hideToast(toastId) {
-      const toast = this.toasts.get(toastId);
-      if (toast) {
-        toast.hide();
-        this.toasts.delete(toastId);
-      }
+      toastStack.dismiss(toastId);
     }
 
     // ========================================
@@ -222,7 +471,7 @@
           e.preventDefault();
           const target = document.querySelector(href);
           if (target) {
-            target.scrollIntoView({ behavior: 'smooth' });
+            target.scrollIntoView({ behavior: motion.level === 'full' ? 'smooth' : 'auto' });
           }
         });
       });
@@ -257,10 +506,8 @@
     // ========================================
 
     initForms() {
-      const forms = document.querySelectorAll('form[data-aydocs="form"]');
-      forms.forEach(form => {
-        new FormComponent(form, this.utils.generateId());
-      });
+      // Forms go through the registry so they share one instance per element
+      return this.mountComponents('form');
     }
 
     // ========================================
@@ -287,26 +534,144 @@
     }
 
     // ========================================
-    // INTERSECTION OBSERVER
+    // SCROLL ANIMATIONS
     // ========================================
 
     initIntersectionObserver() {
-      const animatedElements = document.querySelectorAll('[data-animate]');
-      
-      if (animatedElements.length > 0) {
-        const observer = new IntersectionObserver((entries) => {
-          entries.forEach(entry => {
-            if (entry.isIntersecting) {
-              const element = entry.target;
-              const animation = element.getAttribute('data-animate');
-              this.animations.animate(element, animation);
-              observer.unobserve(element);
-            }
+      this.observeAnimations(document);
+    }
+
+    observeAnimations(root = document) {
+      const collect = selector => {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+          elements.unshift(root);
+        }
+        return elements;
+      };
+
+      collect('[data-animate]').forEach(element => {
+        const { threshold } = this.readAnimateOptions(element);
+        this.getScrollObserver(threshold).observe(element);
+      });
+
+      const linked = collect('[data-scroll]');
+      if (linked.length === 0) return;
+
+      linked.forEach(element => this.scrollLinked.add(element));
+
+      if (!this.isScrollListening) {
+        this.isScrollListening = true;
+        window.addEventListener('scroll', () => this.requestScrollUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.requestScrollUpdate());
+      }
+
+      this.updateScrollLinked();
+    }
+
+    readAnimateOptions(element) {
+      const number = (name, fallback) => {
+        const value = parseFloat(element.getAttribute(`data-animate-${name}`));
+        return Number.isNaN(value) ? fallback : value;
+      };
+
+      return {
+        animation: element.getAttribute('data-animate'),
+        delay: number('delay', 0),
+        duration: number('duration', 1000),
+        threshold: Math.min(Math.max(number('threshold', 0.1), 0), 1),
+        once: element.getAttribute('data-animate-once') !== 'false' && !element.hasAttribute('data-animate-repeat')
+      };
+    }
+
+    // IntersectionObserver thresholds are fixed per instance, so share one per threshold
+    getScrollObserver(threshold) {
+      if (!this.scrollObservers.has(threshold)) {
+        const observer = new IntersectionObserver(entries => this.handleAnimateEntries(entries, observer), { threshold });
+        this.scrollObservers.set(threshold, observer);
+      }
+
+      return this.scrollObservers.get(threshold);
+    }
+
+    handleAnimateEntries(entries, observer) {
+      entries.forEach(entry => {
+        const element = entry.target;
+        const options = this.readAnimateOptions(element);
+
+        if (entry.isIntersecting) {
+          if (this.scrollAnimations.has(element)) return;
+
+          const handle = this.animations.animate(element, options.animation, {
+            duration: options.duration,
+            delay: options.delay
           });
-        }, { threshold: 0.1 });
+          this.scrollAnimations.set(element, handle);
+
+          if (options.once) {
+            observer.unobserve(element);
+          }
+        } else if (!options.once && this.scrollAnimations.has(element)) {
+          // Reset so the animation replays on the next entry
+          const handle = this.scrollAnimations.get(element);
+          if (handle) handle.cancel();
+          this.scrollAnimations.delete(element);
+        }
+      });
+    }
+
+    requestScrollUpdate() {
+      if (this.scrollFrame) return;
+      this.scrollFrame = requestAnimationFrame(() => this.updateScrollLinked());
+    }
+
+    updateScrollLinked() {
+      this.scrollFrame = null;
+      const reducedMotion = motion.level !== 'full';
+
+      this.scrollLinked.forEach(element => {
+        if (!element.isConnected) {
+          this.scrollLinked.delete(element);
+          return;
+        }
+
+        const type = element.getAttribute('data-scroll');
+
+        if (type === 'parallax') {
+          const speed = parseFloat(element.getAttribute('data-scroll-speed'));
+          const container = element.parentElement || document.body;
+          const offset = reducedMotion ? 0 : -container.getBoundingClientRect().top * (Number.isNaN(speed) ? 0.5 : speed);
+
+          element.style.transform = `translateY(${offset}px)`;
+        } else if (type === 'progress') {
+          const progress = this.getScrollProgress(element.getAttribute('data-scroll-target'));
+
+          element.style.setProperty('--scroll-progress', progress.toFixed(4));
+          if (element.getAttribute('role') === 'progressbar') {
+            element.setAttribute('aria-valuenow', Math.round(progress * 100));
+          }
+        } else {
+          console.warn(`Unknown data-scroll type "${type}"`);
+          this.scrollLinked.delete(element);
+        }
+      });
+    }
+
+    // Page progress by default, or how far a target element has been scrolled through
+    getScrollProgress(selector) {
+      const target = selector ? document.querySelector(selector) : null;
+      let progress;
 
-        animatedElements.forEach(element => observer.observe(element));
+      if (target) {
+        const rect = target.getBoundingClientRect();
+        const distance = rect.height - window.innerHeight;
+        progress = distance > 0 ? -rect.top / distance : (rect.top <= 0 ? 1 : 0);
+      } else {
+        const distance = document.documentElement.scrollHeight - window.innerHeight;
+        progress = distance > 0 ? window.pageYOffset / distance : 0;
       }
+
+      return Math.min(Math.max(progress, 0), 1);
     }
 
     // ========================================
@@ -343,851 +708,3694 @@
   // THEME MANAGER
   // ========================================
 
+  /**
+   * Applies the saved theme class to <html> before first paint.
+   * Serialised by ThemeManager.getBootstrapScript(), so it must stay self-contained.
+   * js/theme-bootstrap.js is the standalone copy the pages load; keep the two in step.
+   */
+  function themeBootstrap(options) {
+    let theme = null;
+
+    try {
+      theme = localStorage.getItem(options.storageKey);
+    } catch (e) {
+      // Storage can be blocked; fall through to the cookie
+    }
+
+    if (!theme && options.cookie) {
+      const match = document.cookie.match(new RegExp('(?:^|; )' + options.cookie + '=([^;]*)'));
+      if (match) theme = decodeURIComponent(match[1]);
+    }
+
+    if (!theme || theme === 'system') {
+      theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    const root = document.documentElement;
+    root.className = root.className.replace(/(^|\s)theme-[\w-]+/g, '').trim();
+    root.classList.add('theme-' + theme);
+
+    if (window.matchMedia('(prefers-contrast: more)').matches) {
+      root.classList.add('theme-high-contrast');
+    }
+  }
+
   class ThemeManager {
     constructor() {
+      this.options = {
+        storageKey: 'aydocs-theme',
+        cookie: null,
+        cookieMaxAge: 60 * 60 * 24 * 365,
+        cookiePath: '/',
+        transition: 'none',
+        transitionDuration: 500
+      };
       this.currentTheme = 'light';
-      this.themes = ['light', 'dark'];
+      this.preference = 'system';
+      this.highContrast = false;
+      this.modes = ['light', 'dark', 'system'];
+      this.themes = [
+        'light', 'dark', 'purple', 'green', 'blue', 'red', 'orange', 'pink', 'teal',
+        'gradient-purple', 'gradient-blue', 'gradient-green'
+      ];
+      this.customThemes = new Map();
+      this.styleElement = null;
+      this.colorSchemeQuery = null;
+      this.contrastQuery = null;
     }
 
     init() {
-      // Load saved theme
-      const savedTheme = localStorage.getItem('aydocs-theme');
-      if (savedTheme && this.themes.includes(savedTheme)) {
-        this.setTheme(savedTheme);
+      this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+      this.highContrast = this.contrastQuery.matches;
+
+      // Follow the OS live while the preference is "system"
+      this.watchMediaQuery(this.colorSchemeQuery, () => {
+        if (this.preference === 'system') {
+          this.runTransition(() => this.applyTheme(this.detectSystemTheme(), 'system'));
+        }
+
+        document.querySelectorAll('[data-aydocs-theme="system"]').forEach(scope => {
+          this.applyScope(scope, 'system', 'system');
+        });
+      });
+
+      this.watchMediaQuery(this.contrastQuery, event => {
+        this.highContrast = event.matches;
+        this.applyTheme(this.currentTheme, 'system');
+
+        document.querySelectorAll('[data-aydocs-theme]').forEach(scope => {
+          scope.classList.toggle('theme-high-contrast', this.highContrast);
+        });
+      });
+
+      // Load saved preference, falling back to the cookie and then the system setting
+      const savedTheme = localStorage.getItem(this.options.storageKey) || this.readCookie();
+      if (savedTheme && this.isValidPreference(savedTheme)) {
+        this.setTheme(savedTheme, { transition: 'none' });
+      } else if (savedTheme) {
+        // Possibly a custom theme registered later, so follow the system without overwriting it
+        this.preference = 'system';
+        this.updateThemeToggle();
+        this.applyTheme(this.detectSystemTheme());
       } else {
-        this.setTheme(this.detectSystemTheme());
+        this.setTheme('system', { transition: 'none' });
       }
 
+      this.applyScopedThemes();
+
       // Initialize theme toggle
       this.initThemeToggle();
     }
 
-    detectSystemTheme() {
-      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    configure(options = {}) {
+      if (options.cookie === true) {
+        options.cookie = this.options.storageKey;
+      }
+
+      if (options.cookie && !/^[\w-]+$/.test(options.cookie)) {
+        throw new TypeError(`Invalid theme cookie name "${options.cookie}"`);
+      }
+
+      Object.assign(this.options, options);
+      return this;
     }
 
-    setTheme(theme) {
-      if (!this.themes.includes(theme)) return;
+    /**
+     * Returns the inline script to place in <head> so the saved theme applies before first paint:
+     * <script>${AYdocs.theme.getBootstrapScript()}</script>
+     * Static pages load js/theme-bootstrap.js instead, passing a non-default storageKey or
+     * cookie as data-storage-key / data-cookie on its script tag.
+     */
+    getBootstrapScript() {
+      const options = JSON.stringify({ storageKey: this.options.storageKey, cookie: this.options.cookie });
+      return `(${themeBootstrap.toString()})(${options});`;
+    }
 
-      this.currentTheme = theme;
-      document.body.className = document.body.className.replace(/theme-\w+/g, '');
-      document.body.classList.add(`theme-${theme}`);
-      localStorage.setItem('aydocs-theme', theme);
-      
-      // Dispatch theme change event
-      document.dispatchEvent(new CustomEvent('aydocs:theme-change', { 
-        detail: { theme } 
-      }));
+    readCookie() {
+      if (!this.options.cookie) return null;
+
+      const match = document.cookie.match(new RegExp(`(?:^|; )${this.options.cookie}=([^;]*)`));
+      return match ? decodeURIComponent(match[1]) : null;
     }
 
-    toggleTheme() {
-      const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-      this.setTheme(newTheme);
+    writeCookie(theme) {
+      if (!this.options.cookie) return;
+
+      const secure = location.protocol === 'https:' ? '; Secure' : '';
+      document.cookie = `${this.options.cookie}=${encodeURIComponent(theme)}; path=${this.options.cookiePath}; ` +
+        `max-age=${this.options.cookieMaxAge}; SameSite=Lax${secure}`;
     }
 
-    initThemeToggle() {
-      const toggle = document.getElementById('theme-toggle');
-      if (toggle) {
-        toggle.addEventListener('click', () => this.toggleTheme());
+    watchMediaQuery(query, handler) {
+      if (query.addEventListener) {
+        query.addEventListener('change', handler);
+      } else if (query.addListener) {
+        query.addListener(handler);
       }
     }
-  }
 
-  // ========================================
-  // ANIMATION MANAGER
-  // ========================================
-
-  class AnimationManager {
-    constructor() {
-      this.animations = {
-        fadeIn: this.fadeIn.bind(this),
-        fadeInUp: this.fadeInUp.bind(this),
-        fadeInDown: this.fadeInDown.bind(this),
-        fadeInLeft: this.fadeInLeft.bind(this),
-        fadeInRight: this.fadeInRight.bind(this),
-        slideInUp: this.slideInUp.bind(this),
-        slideInDown: this.slideInDown.bind(this),
-        slideInLeft: this.slideInLeft.bind(this),
-        slideInRight: this.slideInRight.bind(this),
-        zoomIn: this.zoomIn.bind(this),
-        zoomOut: this.zoomOut.bind(this),
-        bounceIn: this.bounceIn.bind(this),
-        pulse: this.pulse.bind(this),
-        shake: this.shake.bind(this),
-        wobble: this.wobble.bind(this)
-      };
+    detectSystemTheme() {
+      const query = this.colorSchemeQuery || window.matchMedia('(prefers-color-scheme: dark)');
+      return query.matches ? 'dark' : 'light';
     }
 
-    init() {
-      // Add CSS for animations
-      this.addAnimationStyles();
+    isValidPreference(theme) {
+      return theme === 'system' || this.themes.includes(theme);
     }
 
-    animate(element, animationName, duration = 1000, delay = 0) {
-      if (!this.animations[animationName]) {
-        console.warn(`Animation "${animationName}" not found`);
-        return;
+    setTheme(theme, options = {}) {
+      const scope = typeof options.scope === 'string' ? document.querySelector(options.scope) : options.scope;
+
+      // A scope that did not resolve must not fall through to the page-wide preference
+      if (options.scope && !scope) {
+        console.warn(`Theme scope "${options.scope}" did not match any element`);
+        return Promise.resolve();
       }
 
-      setTimeout(() => {
-        this.animations[animationName](element, duration);
-      }, delay);
+      if (scope && scope !== document.body) {
+        this.applyScope(scope, theme, options.source);
+        return Promise.resolve();
+      }
+
+      if (!this.isValidPreference(theme)) return Promise.resolve();
+
+      this.preference = theme;
+      localStorage.setItem(this.options.storageKey, theme);
+      this.writeCookie(theme);
+      this.updateThemeToggle();
+
+      const resolved = theme === 'system' ? this.detectSystemTheme() : theme;
+      return this.runTransition(() => this.applyTheme(resolved, options.source), options);
     }
 
-    fadeIn(element, duration = 1000) {
-      element.style.opacity = '0';
-      element.style.transition = `opacity ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.opacity = '1';
+    applyTheme(theme, source = 'api') {
+      const previousTheme = this.findAppliedTheme(document.body);
+      this.currentTheme = theme;
+
+      // <html> carries the class from the bootstrap snippet, so keep both in sync
+      [document.documentElement, document.body].forEach(element => {
+        this.stripThemeClasses(element);
+        element.classList.add(`theme-${theme}`);
+        element.classList.toggle('theme-high-contrast', this.highContrast);
       });
+      
+      // Dispatch theme change event
+      document.dispatchEvent(new CustomEvent('aydocs:theme-change', { 
+        detail: {
+          theme,
+          previousTheme,
+          source,
+          preference: this.preference,
+          highContrast: this.highContrast,
+          scope: null
+        } 
+      }));
     }
 
-    fadeInUp(element, duration = 1000) {
-      element.style.opacity = '0';
-      element.style.transform = 'translateY(30px)';
-      element.style.transition = `opacity ${duration}ms ease, transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.opacity = '1';
-        element.style.transform = 'translateY(0)';
-      });
+    findAppliedTheme(element) {
+      return this.themes.find(theme => element.classList.contains(`theme-${theme}`)) || null;
     }
 
-    fadeInDown(element, duration = 1000) {
-      element.style.opacity = '0';
-      element.style.transform = 'translateY(-30px)';
-      element.style.transition = `opacity ${duration}ms ease, transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.opacity = '1';
-        element.style.transform = 'translateY(0)';
-      });
+    // Only known theme classes are removed so state classes like theme-transitioning survive
+    stripThemeClasses(element) {
+      element.classList.remove(...this.themes.map(theme => `theme-${theme}`), 'theme-high-contrast');
     }
 
-    fadeInLeft(element, duration = 1000) {
-      element.style.opacity = '0';
-      element.style.transform = 'translateX(-30px)';
-      element.style.transition = `opacity ${duration}ms ease, transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.opacity = '1';
-        element.style.transform = 'translateX(0)';
-      });
-    }
+    // ========================================
+    // THEME TRANSITIONS
+    // ========================================
 
-    fadeInRight(element, duration = 1000) {
-      element.style.opacity = '0';
-      element.style.transform = 'translateX(30px)';
-      element.style.transition = `opacity ${duration}ms ease, transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.opacity = '1';
-        element.style.transform = 'translateX(0)';
+    runTransition(update, options = {}) {
+      const type = options.transition || this.options.transition;
+
+      if (!type || type === 'none' || motion.level !== 'full') {
+        update();
+        return Promise.resolve();
+      }
+
+      const root = document.documentElement;
+
+      if (typeof document.startViewTransition === 'function') {
+        const reveal = type === 'reveal';
+        root.classList.toggle('theme-reveal', reveal);
+
+        const transition = document.startViewTransition(update);
+
+        if (reveal) {
+          transition.ready.then(() => {
+            const { x, y } = this.getTransitionOrigin(options.origin);
+            const radius = Math.hypot(Math.max(x, window.innerWidth - x), Math.max(y, window.innerHeight - y));
+
+            root.animate({
+              clipPath: [`circle(0px at ${x}px ${y}px)`, `circle(${radius}px at ${x}px ${y}px)`]
+            }, {
+              duration: this.options.transitionDuration,
+              easing: 'ease-in-out',
+              pseudoElement: '::view-transition-new(root)'
+            });
+          });
+        }
+
+        return transition.finished.finally(() => root.classList.remove('theme-reveal'));
+      }
+
+      // Without view transitions both types fall back to the stylesheet cross-fade
+      update();
+      document.body.style.setProperty('--theme-transition-duration', `${this.options.transitionDuration}ms`);
+      document.body.classList.add('theme-transitioning');
+
+      return new Promise(resolve => {
+        setTimeout(() => {
+          document.body.classList.remove('theme-transitioning');
+          resolve();
+        }, this.options.transitionDuration);
       });
     }
 
-    slideInUp(element, duration = 1000) {
-      element.style.transform = 'translateY(100%)';
-      element.style.transition = `transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'translateY(0)';
-      });
+    getTransitionOrigin(origin) {
+      // Keyboard-triggered clicks report 0/0, so only trust pointer coordinates
+      if (origin && (origin.clientX || origin.clientY)) {
+        return { x: origin.clientX, y: origin.clientY };
+      }
+
+      const element = origin && (origin.currentTarget || origin);
+      if (element && typeof element.getBoundingClientRect === 'function') {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+      }
+
+      return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
     }
 
-    slideInDown(element, duration = 1000) {
-      element.style.transform = 'translateY(-100%)';
-      element.style.transition = `transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'translateY(0)';
-      });
+    toggleTheme(options = {}) {
+      // light -> dark -> system -> light; any other theme starts the cycle over
+      const index = this.modes.indexOf(this.preference);
+      return this.setTheme(this.modes[(index + 1) % this.modes.length], options);
     }
 
-    slideInLeft(element, duration = 1000) {
-      element.style.transform = 'translateX(-100%)';
-      element.style.transition = `transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'translateX(0)';
-      });
+    initThemeToggle() {
+      const toggle = document.getElementById('theme-toggle');
+      if (toggle) {
+        toggle.addEventListener('click', event => this.toggleTheme({ source: 'user', origin: event }));
+        this.updateThemeToggle();
+      }
     }
 
-    slideInRight(element, duration = 1000) {
-      element.style.transform = 'translateX(100%)';
-      element.style.transition = `transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'translateX(0)';
-      });
+    updateThemeToggle() {
+      const toggle = document.getElementById('theme-toggle');
+      if (!toggle) return;
+
+      toggle.setAttribute('data-theme-preference', this.preference);
+      toggle.setAttribute('aria-label', `Theme: ${this.preference} (click to change)`);
     }
 
-    zoomIn(element, duration = 1000) {
-      element.style.transform = 'scale(0)';
-      element.style.transition = `transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'scale(1)';
-      });
+    // ========================================
+    // SCOPED THEMES
+    // ========================================
+
+    applyScopedThemes(root = document) {
+      const scopes = Array.from(root.querySelectorAll('[data-aydocs-theme]'));
+
+      if (root.nodeType === Node.ELEMENT_NODE && root.hasAttribute('data-aydocs-theme')) {
+        scopes.unshift(root);
+      }
+
+      scopes.forEach(scope => this.applyScope(scope, scope.getAttribute('data-aydocs-theme')));
     }
 
-    zoomOut(element, duration = 1000) {
-      element.style.transform = 'scale(1)';
-      element.style.transition = `transform ${duration}ms ease`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'scale(0)';
-      });
+    applyScope(scope, theme, source = 'api', { silent = false } = {}) {
+      if (!this.isValidPreference(theme)) {
+        console.warn(`Unknown theme "${theme}" on scoped element`);
+        return;
+      }
+
+      const previousTheme = this.findAppliedTheme(scope);
+      const resolved = theme === 'system' ? this.detectSystemTheme() : theme;
+
+      // The attribute is the source of truth; only write it when it changed to keep the observer quiet
+      if (scope.getAttribute('data-aydocs-theme') !== theme) {
+        scope.setAttribute('data-aydocs-theme', theme);
+      }
+
+      this.stripThemeClasses(scope);
+      scope.classList.add(`theme-${resolved}`);
+      scope.classList.toggle('theme-high-contrast', this.highContrast);
+
+      if (silent) return;
+
+      scope.dispatchEvent(new CustomEvent('aydocs:theme-change', {
+        bubbles: true,
+        detail: { theme: resolved, previousTheme, source, preference: theme, highContrast: this.highContrast, scope }
+      }));
     }
 
-    bounceIn(element, duration = 1000) {
-      element.style.transform = 'scale(0)';
-      element.style.transition = `transform ${duration}ms cubic-bezier(0.68, -0.55, 0.265, 1.55)`;
-      requestAnimationFrame(() => {
-        element.style.transform = 'scale(1)';
-      });
+    removeScope(scope) {
+      if (scope.hasAttribute('data-aydocs-theme')) {
+        scope.removeAttribute('data-aydocs-theme');
+      }
+
+      this.stripThemeClasses(scope);
     }
 
-    pulse(element, duration = 1000) {
-      const originalTransform = element.style.transform;
-      element.style.animation = `pulse ${duration}ms ease-in-out`;
+    // Called when data-aydocs-theme is edited directly in the DOM
+    syncScope(scope) {
+      const theme = scope.getAttribute('data-aydocs-theme');
+
+      if (!theme) {
+        this.stripThemeClasses(scope);
+        return;
+      }
+
+      const resolved = theme === 'system' ? this.detectSystemTheme() : theme;
+      if (!scope.classList.contains(`theme-${resolved}`)) {
+        this.applyScope(scope, theme);
+      }
     }
 
-    shake(element, duration = 1000) {
-      element.style.animation = `shake ${duration}ms ease-in-out`;
+    getTheme(element) {
+      const scope = element && element.closest('[data-aydocs-theme]');
+      if (!scope) return this.currentTheme;
+
+      const theme = scope.getAttribute('data-aydocs-theme');
+      return theme === 'system' ? this.detectSystemTheme() : theme;
     }
 
-    wobble(element, duration = 1000) {
-      element.style.animation = `wobble ${duration}ms ease-in-out`;
+    // Portalled elements (tooltips, dropdown menus) live under <body>, so copy the trigger's scope onto them
+    inheritTheme(target, source) {
+      const scope = source.closest('[data-aydocs-theme]');
+      const theme = scope ? scope.getAttribute('data-aydocs-theme') : null;
+
+      if (theme === target.getAttribute('data-aydocs-theme')) return;
+
+      // Copying a theme is not a theme switch, so page-level listeners are not told
+      if (theme) {
+        this.applyScope(target, theme, 'api', { silent: true });
+      } else {
+        this.removeScope(target);
+      }
     }
 
-    addAnimationStyles() {
-      const style = document.createElement('style');
-      style.textContent = `
-        @keyframes pulse {
-          0%, 100% { transform: scale(1); }
-          50% { transform: scale(1.05); }
-        }
-        
-        @keyframes shake {
-          0%, 100% { transform: translateX(0); }
-          10%, 30%, 50%, 70%, 90% { transform: translateX(-10px); }
-          20%, 40%, 60%, 80% { transform: translateX(10px); }
-        }
-        
-        @keyframes wobble {
-          0% { transform: translateX(0%); }
-          15% { transform: translateX(-25%) rotate(-5deg); }
-          30% { transform: translateX(20%) rotate(3deg); }
-          45% { transform: translateX(-15%) rotate(-3deg); }
-          60% { transform: translateX(10%) rotate(2deg); }
-          75% { transform: translateX(-5%) rotate(-1deg); }
-          100% { transform: translateX(0%); }
+    // ========================================
+    // CUSTOM THEMES
+    // ========================================
+
+    registerTheme(name, tokens = {}) {
+      if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/i.test(name)) {
+        throw new TypeError(`Theme name "${name}" may only contain letters, digits and dashes`);
+      }
+
+      if (this.themes.includes(name)) {
+        throw new Error(`Theme "${name}" is already registered`);
+      }
+
+      const { brand, ...rest } = tokens;
+      const properties = {};
+
+      // A single brand colour expands into the full primary scale
+      if (brand) {
+        const palette = this.generatePalette(brand);
+        Object.keys(palette).forEach(shade => {
+          properties[`--color-primary-${shade}`] = palette[shade];
+        });
+
+        properties['--color-primary'] = palette[500];
+        properties['--color-primary-foreground'] = this.getContrastColor(palette[500]);
+        properties['--color-accent'] = palette[500];
+        properties['--color-accent-foreground'] = properties['--color-primary-foreground'];
+        properties['--color-ring'] = palette[500];
+      }
+
+      Object.keys(rest).forEach(token => {
+        const value = String(rest[token]);
+
+        // Values end up inside a stylesheet, so refuse anything that could escape the rule
+        if (/[;{}<>]/.test(value)) {
+          console.warn(`Ignoring unsafe value for theme token "${token}"`);
+          return;
         }
-      `;
-      document.head.appendChild(style);
-    }
-  }
 
-  // ========================================
-  // UTILITY MANAGER
-  // ========================================
+        properties[this.tokenToProperty(token)] = value;
+      });
 
-  class UtilityManager {
-    generateId() {
-      return 'aydocs-' + Math.random().toString(36).substr(2, 9);
-    }
+      this.customThemes.set(name, properties);
+      this.themes.push(name);
+      this.renderCustomThemes();
 
-    debounce(func, wait) {
-      let timeout;
-      return function executedFunction(...args) {
-        const later = () => {
-          clearTimeout(timeout);
-          func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-      };
+      // Themes registered after init should still win over the fallback on reload
+      const savedTheme = localStorage.getItem(this.options.storageKey) || this.readCookie();
+      if (document.body && savedTheme === name && this.preference !== name) {
+        this.setTheme(name);
+      }
+
+      return properties;
     }
 
-    throttle(func, limit) {
-      let inThrottle;
-      return function(...args) {
-        if (!inThrottle) {
-          func.apply(this, args);
-          inThrottle = true;
-          setTimeout(() => inThrottle = false, limit);
-        }
+    tokenToProperty(token) {
+      if (token.startsWith('--')) return token;
+
+      const aliases = {
+        text: 'foreground',
+        textMuted: 'foreground-muted'
       };
+
+      const name = aliases[token] || token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+      return `--color-${name}`;
     }
 
-    isElementInViewport(el) {
-      const rect = el.getBoundingClientRect();
-      return (
-        rect.top >= 0 &&
-        rect.left >= 0 &&
-        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-      );
+    renderCustomThemes() {
+      if (!this.styleElement) {
+        this.styleElement = document.createElement('style');
+        this.styleElement.id = 'aydocs-custom-themes';
+        document.head.appendChild(this.styleElement);
+      }
+
+      let css = '';
+      this.customThemes.forEach((properties, name) => {
+        const declarations = Object.keys(properties)
+          .map(property => `  ${property}: ${properties[property]};`)
+          .join('\n');
+
+        css += `.theme-${name} {\n${declarations}\n}\n`;
+      });
+
+      this.styleElement.textContent = css;
     }
 
-    getScrollPosition() {
-      return {
-        x: window.pageXOffset || document.documentElement.scrollLeft,
-        y: window.pageYOffset || document.documentElement.scrollTop
+    // ========================================
+    // PALETTE GENERATION
+    // ========================================
+
+    generatePalette(color) {
+      const { h, s, l } = this.rgbToHsl(this.parseColor(color));
+
+      // Positive amounts mix towards white, negative towards black
+      const shades = {
+        50: 0.95, 100: 0.88, 200: 0.75, 300: 0.58, 400: 0.32, 500: 0,
+        600: -0.18, 700: -0.35, 800: -0.5, 900: -0.62, 950: -0.78
       };
+
+      const palette = {};
+      Object.keys(shades).forEach(shade => {
+        const amount = shades[shade];
+        const lightness = amount >= 0 ? l + (97 - l) * amount : l + (l - 6) * amount;
+        const saturation = amount >= 0 ? s - s * amount * 0.1 : s;
+
+        palette[shade] = shade === '500' ? this.hslToHex(h, s, l) : this.hslToHex(h, saturation, lightness);
+      });
+
+      return palette;
     }
 
-    smoothScrollTo(element, offset = 0) {
-      const targetPosition = element.offsetTop - offset;
-      const startPosition = window.pageYOffset;
-      const distance = targetPosition - startPosition;
-      const duration = 1000;
-      let start = null;
+    parseColor(color) {
+      const value = String(color).trim();
+      let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
 
-      function animation(currentTime) {
-        if (start === null) start = currentTime;
-        const timeElapsed = currentTime - start;
-        const run = ease(timeElapsed, startPosition, distance, duration);
-        window.scrollTo(0, run);
-        if (timeElapsed < duration) requestAnimationFrame(animation);
+      if (match) {
+        const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+        return {
+          r: parseInt(hex.slice(0, 2), 16),
+          g: parseInt(hex.slice(2, 4), 16),
+          b: parseInt(hex.slice(4, 6), 16)
+        };
       }
 
-      function ease(t, b, c, d) {
-        t /= d / 2;
-        if (t < 1) return c / 2 * t * t + b;
-        t--;
-        return -c / 2 * (t * (t - 2) - 1) + b;
+      match = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+      if (match) {
+        return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
       }
 
-      requestAnimationFrame(animation);
+      throw new TypeError(`Unsupported colour "${color}", use #rgb, #rrggbb or rgb()`);
     }
-  }
 
-  // ========================================
-  // BASE COMPONENT CLASS
-  // ========================================
+    rgbToHsl({ r, g, b }) {
+      r /= 255;
+      g /= 255;
+      b /= 255;
+
+      const max = Math.max(r, g, b);
+      const min = Math.min(r, g, b);
+      const l = (max + min) / 2;
+      let h = 0;
+      let s = 0;
+
+      if (max !== min) {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+        switch (max) {
+          case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+          case g: h = (b - r) / d + 2; break;
+          default: h = (r - g) / d + 4;
+        }
 
-  class BaseComponent {
-    constructor(element, id, options = {}) {
-      this.element = element;
-      this.id = id;
-      this.options = { ...this.defaultOptions, ...options };
-      this.isInitialized = false;
-      
-      this.init();
-    }
+        h *= 60;
+      }
 
-    get defaultOptions() {
-      return {};
+      return { h, s: s * 100, l: l * 100 };
     }
 
-    init() {
-      if (this.isInitialized) return;
-      
-      this.bindEvents();
-      this.isInitialized = true;
-    }
+    hslToHex(h, s, l) {
+      s /= 100;
+      l /= 100;
 
-    bindEvents() {
-      // Override in child classes
-    }
+      const a = s * Math.min(l, 1 - l);
+      const channel = n => {
+        const k = (n + h / 30) % 12;
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+      };
 
-    destroy() {
-      // Override in child classes
+      return `#${channel(0)}${channel(8)}${channel(4)}`;
     }
 
-    update(options) {
-      this.options = { ...this.options, ...options };
+    getContrastColor(color) {
+      const { r, g, b } = this.parseColor(color);
+
+      // Relative luminance per WCAG
+      const luminance = [r, g, b]
+        .map(value => {
+          value /= 255;
+          return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        })
+        .reduce((sum, value, i) => sum + value * [0.2126, 0.7152, 0.0722][i], 0);
+
+      return luminance > 0.4 ? '#0f172a' : '#ffffff';
     }
   }
 
   // ========================================
-  // COMPONENT CLASSES
+  // ANIMATION MANAGER
   // ========================================
 
-  class ButtonComponent extends BaseComponent {
-    get defaultOptions() {
-      return {
-        loading: false,
-        disabled: false,
-        ripple: true
+  class AnimationManager {
+    constructor() {
+      // Detected up front so components animating during construction are not no-ops
+      this.supported = typeof Element === 'function' && typeof Element.prototype.animate === 'function';
+      this.keyframes = {
+        fadeIn: [{ opacity: 0 }, { opacity: 1 }],
+        fadeInUp: [
+          { opacity: 0, transform: 'translateY(30px)' },
+          { opacity: 1, transform: 'translateY(0)' }
+        ],
+        fadeInDown: [
+          { opacity: 0, transform: 'translateY(-30px)' },
+          { opacity: 1, transform: 'translateY(0)' }
+        ],
+        fadeInLeft: [
+          { opacity: 0, transform: 'translateX(-30px)' },
+          { opacity: 1, transform: 'translateX(0)' }
+        ],
+        fadeInRight: [
+          { opacity: 0, transform: 'translateX(30px)' },
+          { opacity: 1, transform: 'translateX(0)' }
+        ],
+        slideInUp: [{ transform: 'translateY(100%)' }, { transform: 'translateY(0)' }],
+        slideInDown: [{ transform: 'translateY(-100%)' }, { transform: 'translateY(0)' }],
+        slideInLeft: [{ transform: 'translateX(-100%)' }, { transform: 'translateX(0)' }],
+        slideInRight: [{ transform: 'translateX(100%)' }, { transform: 'translateX(0)' }],
+        zoomIn: [{ transform: 'scale(0)' }, { transform: 'scale(1)' }],
+        zoomOut: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
+        bounceIn: [{ transform: 'scale(0)' }, { transform: 'scale(1)' }],
+        pulse: [
+          { transform: 'scale(1)' },
+          { transform: 'scale(1.05)' },
+          { transform: 'scale(1)' }
+        ],
+        shake: [
+          { transform: 'translateX(0)' },
+          { transform: 'translateX(-10px)', offset: 0.1 },
+          { transform: 'translateX(10px)', offset: 0.2 },
+          { transform: 'translateX(-10px)', offset: 0.3 },
+          { transform: 'translateX(10px)', offset: 0.4 },
+          { transform: 'translateX(-10px)', offset: 0.5 },
+          { transform: 'translateX(10px)', offset: 0.6 },
+          { transform: 'translateX(-10px)', offset: 0.7 },
+          { transform: 'translateX(10px)', offset: 0.8 },
+          { transform: 'translateX(-10px)', offset: 0.9 },
+          { transform: 'translateX(0)' }
+        ],
+        wobble: [
+          { transform: 'translateX(0%)' },
+          { transform: 'translateX(-25%) rotate(-5deg)', offset: 0.15 },
+          { transform: 'translateX(20%) rotate(3deg)', offset: 0.3 },
+          { transform: 'translateX(-15%) rotate(-3deg)', offset: 0.45 },
+          { transform: 'translateX(10%) rotate(2deg)', offset: 0.6 },
+          { transform: 'translateX(-5%) rotate(-1deg)', offset: 0.75 },
+          { transform: 'translateX(0%)' }
+        ]
+      };
+      this.easings = {
+        bounceIn: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)',
+        pulse: 'ease-in-out',
+        shake: 'ease-in-out',
+        wobble: 'ease-in-out'
       };
     }
 
-    bindEvents() {
-      if (!this.element) return;
-      
-      this.element.addEventListener('click', (e) => {
-        if (this.options.ripple) {
-          this.createRipple(e);
-        }
-        
-        if (this.options.loading) {
-          e.preventDefault();
-          return;
-        }
-        
-        // Dispatch click event
-        this.element.dispatchEvent(new CustomEvent('aydocs:button:click', {
-          detail: { component: this }
-        }));
-      });
+    register(name, keyframes, easing) {
+      if (this.keyframes[name]) {
+        throw new Error(`Animation "${name}" is already registered`);
+      }
+
+      this.keyframes[name] = keyframes;
+      if (easing) this.easings[name] = easing;
     }
 
-    createRipple(event) {
-      const button = this.element;
-      const circle = document.createElement('span');
-      const diameter = Math.max(button.clientWidth, button.clientHeight);
-      const radius = diameter / 2;
+    /**
+     * Runs a named (or raw keyframe) animation and returns an AnimationHandle.
+     * The third argument is either a duration in ms or an options object
+     * ({ duration, delay, easing, iterations, direction, fill }).
+     */
+    animate(element, animation, duration = 1000, delay = 0) {
+      const keyframes = Array.isArray(animation) ? animation : this.keyframes[animation];
+
+      if (!keyframes) {
+        console.warn(`Animation "${animation}" not found`);
+        return null;
+      }
 
-      circle.style.width = circle.style.height = `${diameter}px`;
-      circle.style.left = `${event.clientX - button.offsetLeft - radius}px`;
-      circle.style.top = `${event.clientY - button.offsetTop - radius}px`;
+      const options = typeof duration === 'object' ? duration : { duration, delay };
+      const timing = {
+        duration: 1000,
+        delay: 0,
+        easing: this.easings[animation] || 'ease',
+        fill: 'both',
+        ...options
+      };
+
+      if (!this.supported || !element || typeof element.animate !== 'function') {
+        return new AnimationHandle(null);
+      }
+
+      const level = motion.level;
+      let frames = keyframes;
+
+      // Reduced motion keeps opacity fades (shortened) and drops all movement
+      if (level === 'reduced') {
+        frames = keyframes
+          .filter(frame => 'opacity' in frame)
+          .map(frame => ('offset' in frame ? { opacity: frame.opacity, offset: frame.offset } : { opacity: frame.opacity }));
+        timing.duration = Math.min(timing.duration, 200);
+      }
+
+      const handle = new AnimationHandle(element.animate(frames.length > 0 ? frames : keyframes, timing));
+
+      if (level === 'none' || frames.length === 0) {
+        handle.finish();
+      }
+
+      return handle;
+    }
+
+    timeline(options = {}) {
+      return new AnimationTimeline(this, options);
+    }
+
+    fadeIn(element, duration = 1000) {
+      return this.animate(element, 'fadeIn', duration);
+    }
+
+    fadeInUp(element, duration = 1000) {
+      return this.animate(element, 'fadeInUp', duration);
+    }
+
+    fadeInDown(element, duration = 1000) {
+      return this.animate(element, 'fadeInDown', duration);
+    }
+
+    fadeInLeft(element, duration = 1000) {
+      return this.animate(element, 'fadeInLeft', duration);
+    }
+
+    fadeInRight(element, duration = 1000) {
+      return this.animate(element, 'fadeInRight', duration);
+    }
+
+    slideInUp(element, duration = 1000) {
+      return this.animate(element, 'slideInUp', duration);
+    }
+
+    slideInDown(element, duration = 1000) {
+      return this.animate(element, 'slideInDown', duration);
+    }
+
+    slideInLeft(element, duration = 1000) {
+      return this.animate(element, 'slideInLeft', duration);
+    }
+
+    slideInRight(element, duration = 1000) {
+      return this.animate(element, 'slideInRight', duration);
+    }
+
+    zoomIn(element, duration = 1000) {
+      return this.animate(element, 'zoomIn', duration);
+    }
+
+    zoomOut(element, duration = 1000) {
+      return this.animate(element, 'zoomOut', duration);
+    }
+
+    bounceIn(element, duration = 1000) {
+      return this.animate(element, 'bounceIn', duration);
+    }
+
+    pulse(element, duration = 1000) {
+      return this.animate(element, 'pulse', duration);
+    }
+
+    shake(element, duration = 1000) {
+      return this.animate(element, 'shake', duration);
+    }
+
+    wobble(element, duration = 1000) {
+      return this.animate(element, 'wobble', duration);
+    }
+  }
+
+  /**
+   * Thin wrapper around a WAAPI Animation. Without WAAPI support the handle
+   * is created already finished so callers can still await it.
+   */
+  class AnimationHandle {
+    constructor(animation) {
+      this.animation = animation;
+    }
+
+    // Mirrors Animation#finished: resolves on finish, rejects with AbortError on cancel.
+    // Read per call because WAAPI swaps the promise when a finished animation replays.
+    get finished() {
+      return this.animation ? this.animation.finished.then(() => this) : Promise.resolve(this);
+    }
+
+    get playState() {
+      return this.animation ? this.animation.playState : 'finished';
+    }
+
+    get playbackRate() {
+      return this.animation ? this.animation.playbackRate : 1;
+    }
+
+    set playbackRate(rate) {
+      if (!this.animation) return;
+
+      if (typeof this.animation.updatePlaybackRate === 'function') {
+        this.animation.updatePlaybackRate(rate);
+      } else {
+        this.animation.playbackRate = rate;
+      }
+    }
+
+    play() {
+      if (this.animation) this.animation.play();
+      return this;
+    }
+
+    pause() {
+      if (this.animation) this.animation.pause();
+      return this;
+    }
+
+    reverse() {
+      if (this.animation) this.animation.reverse();
+      return this;
+    }
+
+    finish() {
+      if (this.animation) this.animation.finish();
+      return this;
+    }
+
+    cancel() {
+      if (this.animation) this.animation.cancel();
+      return this;
+    }
+  }
+
+  /**
+   * Sequences animations across elements. Positions accept a time in ms,
+   * "+=200" / "-=200" relative to the end of the timeline, "<" for the start
+   * of the previous step, or a label, optionally followed by an offset
+   * ("intro+=100", "<+=50").
+   */
+  class AnimationTimeline {
+    constructor(manager, options = {}) {
+      this.manager = manager;
+      this.defaults = { duration: 1000, ...options.defaults };
+      this.steps = [];
+      this.labels = {};
+      this.handles = [];
+      this.cursor = 0;
+      this.previousStart = 0;
+      this.duration = 0;
+    }
+
+    add(targets, animation, options = {}, position) {
+      const elements = this.resolveTargets(targets);
+      const { stagger = 0, ...timing } = { ...this.defaults, ...options };
+      const start = this.resolvePosition(position);
+      const end = start + Math.max(elements.length - 1, 0) * stagger + timing.duration + (timing.delay || 0);
+
+      elements.forEach((element, index) => {
+        this.steps.push({
+          element,
+          animation,
+          timing,
+          start: start + index * stagger + (timing.delay || 0)
+        });
+      });
+
+      this.previousStart = start;
+      this.cursor = Math.max(this.cursor, end);
+      this.duration = Math.max(this.duration, end);
+
+      return this;
+    }
+
+    label(name, position) {
+      this.labels[name] = this.resolvePosition(position);
+      return this;
+    }
+
+    resolveTargets(targets) {
+      if (!targets) return [];
+      if (typeof targets === 'string') return Array.from(document.querySelectorAll(targets));
+      if (targets instanceof Element) return [targets];
+      return Array.from(targets);
+    }
+
+    resolvePosition(position) {
+      if (position === undefined || position === null) return this.cursor;
+      if (typeof position === 'number') return Math.max(0, position);
+
+      const match = String(position).match(/^(.*?)(?:([+-])=(\d+(?:\.\d+)?))?$/);
+      if (!match) {
+        console.warn(`Invalid timeline position "${position}"`);
+        return this.cursor;
+      }
+
+      const [, reference, sign, amount] = match;
+      let base = this.cursor;
+
+      if (reference === '<') {
+        base = this.previousStart;
+      } else if (reference) {
+        if (!(reference in this.labels)) {
+          console.warn(`Timeline label "${reference}" not found`);
+        } else {
+          base = this.labels[reference];
+        }
+      }
+
+      const offset = amount ? Number(amount) * (sign === '-' ? -1 : 1) : 0;
+      return Math.max(0, base + offset);
+    }
+
+    play() {
+      if (this.handles.length > 0) {
+        this.handles.forEach(handle => handle.play());
+        return this;
+      }
+
+      this.handles = this.steps
+        .map(step => this.manager.animate(step.element, step.animation, {
+          ...step.timing,
+          delay: step.start,
+          // Pad every animation to the full length so reverse() stays in sync
+          endDelay: this.duration - step.start - step.timing.duration
+        }))
+        .filter(Boolean);
+
+      // Reduced motion skips straight to the end states
+      if (motion.level !== 'full') {
+        this.finish();
+      }
+
+      return this;
+    }
+
+    get finished() {
+      return Promise.all(this.handles.map(handle => handle.finished)).then(() => this);
+    }
+
+    get playbackRate() {
+      return this.handles.length > 0 ? this.handles[0].playbackRate : 1;
+    }
+
+    set playbackRate(rate) {
+      this.handles.forEach(handle => {
+        handle.playbackRate = rate;
+      });
+    }
+
+    pause() {
+      this.handles.forEach(handle => handle.pause());
+      return this;
+    }
+
+    reverse() {
+      this.handles.forEach(handle => handle.reverse());
+      return this;
+    }
+
+    finish() {
+      this.handles.forEach(handle => handle.finish());
+      return this;
+    }
+
+    cancel() {
+      this.handles.forEach(handle => handle.cancel());
+      this.handles = [];
+      return this;
+    }
+  }
+
+  // ========================================
+  // UTILITY MANAGER
+  // ========================================
+
+  class UtilityManager {
+    generateId() {
+      return 'aydocs-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    debounce(func, wait) {
+      let timeout;
+      return function executedFunction(...args) {
+        const later = () => {
+          clearTimeout(timeout);
+          func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+      };
+    }
+
+    throttle(func, limit) {
+      let inThrottle;
+      return function(...args) {
+        if (!inThrottle) {
+          func.apply(this, args);
+          inThrottle = true;
+          setTimeout(() => inThrottle = false, limit);
+        }
+      };
+    }
+
+    isElementInViewport(el) {
+      const rect = el.getBoundingClientRect();
+      return (
+        rect.top >= 0 &&
+        rect.left >= 0 &&
+        rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+        rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+      );
+    }
+
+    getScrollPosition() {
+      return {
+        x: window.pageXOffset || document.documentElement.scrollLeft,
+        y: window.pageYOffset || document.documentElement.scrollTop
+      };
+    }
+
+    smoothScrollTo(element, offset = 0) {
+      const targetPosition = element.offsetTop - offset;
+
+      if (motion.level !== 'full') {
+        window.scrollTo(0, targetPosition);
+        return;
+      }
+
+      const startPosition = window.pageYOffset;
+      const distance = targetPosition - startPosition;
+      const duration = 1000;
+      let start = null;
+
+      function animation(currentTime) {
+        if (start === null) start = currentTime;
+        const timeElapsed = currentTime - start;
+        const run = ease(timeElapsed, startPosition, distance, duration);
+        window.scrollTo(0, run);
+        if (timeElapsed < duration) requestAnimationFrame(animation);
+      }
+
+      function ease(t, b, c, d) {
+        t /= d / 2;
+        if (t < 1) return c / 2 * t * t + b;
+        t--;
+        return -c / 2 * (t * (t - 2) - 1) + b;
+      }
+
+      requestAnimationFrame(animation);
+    }
+  }
+
+  // ========================================
+  // HTML SANITIZER
+  // ========================================
+
+  /**
+   * Allow-list sanitizer for the `html` options of toasts and
+   * notifications. Markup is parsed into an inert template, unknown
+   * elements are unwrapped, and only listed attributes and URL protocols
+   * survive. `configure({ sanitize })` swaps in an external sanitizer.
+   */
+  class HtmlSanitizer {
+    constructor() {
+      this.options = {
+        tags: [
+          'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4',
+          'h5', 'h6', 'hr', 'i', 'img', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'small', 'span',
+          'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+        ],
+        attributes: {
+          '*': ['class', 'title', 'lang', 'dir', 'role', 'aria-label', 'aria-hidden', 'aria-describedby'],
+          a: ['href', 'target', 'rel'],
+          img: ['src', 'alt', 'width', 'height'],
+          td: ['colspan', 'rowspan'],
+          th: ['colspan', 'rowspan', 'scope']
+        },
+        protocols: ['http', 'https', 'mailto', 'tel'],
+        // Removed together with everything inside them
+        dropTags: ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math'],
+        sanitize: null
+      };
+      this.urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+    }
+
+    configure(options = {}) {
+      if (options.sanitize !== undefined && options.sanitize !== null && typeof options.sanitize !== 'function') {
+        throw new TypeError('sanitize must be a function returning an HTML string or Node');
+      }
+
+      this.options = { ...this.options, ...options };
+      return this.options;
+    }
+
+    // Returns a DocumentFragment that is safe to insert
+    sanitize(html) {
+      if (typeof this.options.sanitize === 'function') {
+        const result = this.options.sanitize(String(html));
+        return result instanceof Node ? result : this.parse(String(result == null ? '' : result));
+      }
+
+      const fragment = this.parse(String(html == null ? '' : html));
+      this.clean(fragment);
+      return fragment;
+    }
+
+    sanitizeToString(html) {
+      const container = document.createElement('div');
+      container.appendChild(this.sanitize(html));
+      return container.innerHTML;
+    }
+
+    parse(html) {
+      // Template content is inert: nothing loads or runs while we clean it
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      return template.content;
+    }
+
+    clean(parent) {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        const tag = node.localName;
+
+        if (this.options.dropTags.includes(tag)) {
+          node.remove();
+          return;
+        }
+
+        this.clean(node);
+
+        if (!this.options.tags.includes(tag)) {
+          node.replaceWith(...Array.from(node.childNodes));
+          return;
+        }
+
+        this.cleanAttributes(node, tag);
+      });
+    }
+
+    cleanAttributes(element, tag) {
+      const allowed = [
+        ...(this.options.attributes['*'] || []),
+        ...(this.options.attributes[tag] || [])
+      ];
+
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        const isAllowed = allowed.includes(name) && !name.startsWith('on');
+
+        if (!isAllowed || (this.urlAttributes.includes(name) && !this.isSafeUrl(value))) {
+          element.removeAttribute(name);
+        }
+      });
+
+      // Links opening a new tab must not get a handle on this window
+      if (tag === 'a' && element.getAttribute('target') === '_blank') {
+        element.setAttribute('rel', 'noopener noreferrer');
+      }
+    }
+
+    isSafeUrl(value) {
+      // Strip whitespace and control characters browsers ignore inside schemes
+      const url = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+      const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+
+      // Relative URLs have no scheme and stay on the current origin
+      return !scheme || this.options.protocols.includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Fills an element with text (escaped by the DOM), sanitized HTML, or
+     * a DOM node that is inserted as-is.
+     */
+    setContent(element, content, { html = false } = {}) {
+      if (content instanceof Node) {
+        element.replaceChildren(content);
+      } else if (html) {
+        element.replaceChildren(this.sanitize(content));
+      } else {
+        element.textContent = content == null ? '' : String(content);
+      }
+    }
+  }
+
+  // ========================================
+  // MOTION POLICY
+  // ========================================
+
+  /**
+   * Single source of truth for how much motion the UI may use:
+   * 'full', 'reduced' (short fades only) or 'none'. Follows
+   * prefers-reduced-motion until a level is set explicitly.
+   */
+  class MotionPolicy {
+    constructor() {
+      this.levels = ['full', 'reduced', 'none'];
+      this.override = null;
+      this.query = null;
+    }
+
+    init() {
+      this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+      const handleChange = () => {
+        if (!this.override) this.apply(true);
+      };
+
+      if (this.query.addEventListener) {
+        this.query.addEventListener('change', handleChange);
+      } else if (this.query.addListener) {
+        this.query.addListener(handleChange);
+      }
+
+      this.apply(false);
+    }
+
+    get level() {
+      if (this.override) return this.override;
+
+      const query = this.query || window.matchMedia('(prefers-reduced-motion: reduce)');
+      return query.matches ? 'reduced' : 'full';
+    }
+
+    // Pass null to go back to following the media query
+    set(level) {
+      if (level !== null && !this.levels.includes(level)) {
+        throw new TypeError(`Motion level must be one of ${this.levels.join(', ')}`);
+      }
+
+      this.override = level;
+      this.apply(true);
+    }
+
+    apply(notify) {
+      document.documentElement.setAttribute('data-motion', this.level);
+
+      if (notify) {
+        document.dispatchEvent(new CustomEvent('aydocs:motion-change', {
+          detail: { motion: this.level }
+        }));
+      }
+    }
+  }
+
+  // ========================================
+  // MODAL STACK
+  // ========================================
+
+  const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+    '[contenteditable="true"]'
+  ].join(', ');
+
+  /**
+   * Tracks open modals in order. The top modal owns Escape and Tab,
+   * everything behind it is made inert, and the body scroll lock is held
+   * until the last modal closes.
+   */
+  class ModalStack {
+    constructor() {
+      this.stack = [];
+      this.openers = new Map();
+      this.inerted = [];
+      this.savedBodyStyle = null;
+      this.baseZIndex = 50;
+      // Overlays that must stay usable above or alongside modals
+      this.exemptSelector = '.notification-container, .toast-container, [data-aydocs-portal]';
+      this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    get top() {
+      return this.stack[this.stack.length - 1] || null;
+    }
+
+    push(modal) {
+      if (this.stack.includes(modal)) return;
+
+      this.openers.set(modal, document.activeElement);
+
+      if (this.stack.length === 0) {
+        this.lockScroll();
+        document.addEventListener('keydown', this.handleKeydown);
+      }
+
+      this.stack.push(modal);
+      modal.modal.style.zIndex = String(this.baseZIndex + (this.stack.length - 1) * 10);
+      this.updateInert();
+    }
+
+    remove(modal) {
+      const index = this.stack.indexOf(modal);
+      if (index === -1) return;
+
+      this.stack.splice(index, 1);
+      this.updateInert();
+
+      if (this.stack.length === 0) {
+        this.unlockScroll();
+        document.removeEventListener('keydown', this.handleKeydown);
+      }
+
+      // Hand focus back to whatever opened the modal
+      const opener = this.openers.get(modal);
+      this.openers.delete(modal);
+
+      if (opener && opener.isConnected && typeof opener.focus === 'function') {
+        opener.focus();
+      }
+    }
+
+    closeAll(reason = 'close') {
+      this.stack.slice().reverse().forEach(modal => modal.close(reason));
+    }
+
+    updateInert() {
+      this.inerted.forEach(element => element.removeAttribute('inert'));
+      this.inerted = [];
+
+      const top = this.top;
+      if (!top) return;
+
+      // Walk up from the top modal, making every sibling along the way inert
+      let node = top.modal;
+      while (node && node !== document.body && node.parentElement) {
+        Array.from(node.parentElement.children).forEach(sibling => {
+          if (sibling === node || sibling.hasAttribute('inert') || sibling.matches(this.exemptSelector)) return;
+
+          sibling.setAttribute('inert', '');
+          this.inerted.push(sibling);
+        });
+
+        node = node.parentElement;
+      }
+    }
+
+    handleKeydown(e) {
+      const modal = this.top;
+      if (!modal) return;
+
+      // Notifications and toasts over the modal handle their own keys
+      const target = e.target instanceof Element ? e.target : document.activeElement;
+      if (target && target.closest(this.exemptSelector)) return;
+
+      if (e.key === 'Escape' && modal.options.keyboard) {
+        e.preventDefault();
+        modal.close('escape');
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e, modal.getDialog());
+      }
+    }
+
+    trapFocus(e, dialog) {
+      const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden], [inert]'));
+      const active = document.activeElement;
+
+      if (focusable.length === 0) {
+        e.preventDefault();
+        dialog.focus();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && (active === first || !dialog.contains(active))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (active === last || !dialog.contains(active))) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    lockScroll() {
+      const body = document.body;
+      const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+
+      this.savedBodyStyle = {
+        overflow: body.style.overflow,
+        paddingRight: body.style.paddingRight
+      };
+
+      body.style.overflow = 'hidden';
+      if (scrollbarWidth > 0) {
+        body.style.paddingRight = `${scrollbarWidth}px`;
+      }
+    }
+
+    unlockScroll() {
+      if (!this.savedBodyStyle) return;
+
+      document.body.style.overflow = this.savedBodyStyle.overflow;
+      document.body.style.paddingRight = this.savedBodyStyle.paddingRight;
+      this.savedBodyStyle = null;
+    }
+  }
+
+  // ========================================
+  // TOAST STACK
+  // ========================================
+
+  const TOAST_POSITIONS = ['top-start', 'top-center', 'top-end', 'bottom-start', 'bottom-center', 'bottom-end'];
+
+  // Physical names used by the older toast APIs
+  const TOAST_POSITION_ALIASES = {
+    'top': 'top-center',
+    'bottom': 'bottom-center',
+    'top-left': 'top-start',
+    'top-right': 'top-end',
+    'bottom-left': 'bottom-start',
+    'bottom-right': 'bottom-end'
+  };
+
+  /**
+   * Owns every toast on the page. Each position gets its own container,
+   * created on first use, and holds at most `limit` toasts; identical
+   * messages refresh the toast already showing instead of stacking up.
+   */
+  class ToastStack {
+    constructor() {
+      this.containers = new Map();
+      this.toasts = new Map();
+      this.options = {
+        position: 'top-end',
+        limit: 5,
+        duration: 5000,
+        dedupe: true
+      };
+    }
+
+    configure(options = {}) {
+      if (options.position !== undefined) {
+        options = { ...options, position: this.resolvePosition(options.position) };
+      }
+
+      this.options = { ...this.options, ...options };
+      return this.options;
+    }
+
+    resolvePosition(position) {
+      const resolved = TOAST_POSITION_ALIASES[position] || position;
+
+      if (!TOAST_POSITIONS.includes(resolved)) {
+        console.warn(`Unknown toast position "${position}", using "${this.options.position}"`);
+        return this.options.position;
+      }
+
+      return resolved;
+    }
+
+    getContainer(position) {
+      let container = this.containers.get(position);
+
+      if (!container || !container.isConnected) {
+        container = document.createElement('div');
+        container.className = `toast-container toast-container-${position}`;
+        container.setAttribute('data-position', position);
+        container.setAttribute('aria-live', 'polite');
+        container.setAttribute('aria-relevant', 'additions');
+        document.body.appendChild(container);
+        this.containers.set(position, container);
+      }
+
+      return container;
+    }
+
+    getKey(options) {
+      if (options.key) return String(options.key);
+
+      // DOM content has no stable identity to compare, so it never dedupes
+      const parts = [options.type, options.title || '', options.message, options.html || ''];
+      if (parts.some(part => part instanceof Node)) return null;
+
+      return parts.join('|');
+    }
+
+    show(message, options = {}) {
+      if (typeof options === 'string') {
+        options = { type: options };
+      }
+
+      const config = {
+        duration: this.options.duration,
+        dedupe: this.options.dedupe,
+        ...options,
+        message,
+        position: this.resolvePosition(options.position || this.options.position)
+      };
+      config.type = config.type || 'info';
+
+      const key = this.getKey(config);
+
+      if (config.dedupe && key !== null) {
+        const existing = this.find(toast => toast.key === key && !toast.isClosing);
+        if (existing) {
+          existing.refresh();
+          return existing;
+        }
+      }
+
+      const toast = new ToastComponent(null, config.id || utils.generateId(), config);
+      toast.key = key;
+      this.toasts.set(toast.id, toast);
+
+      this.getContainer(config.position).appendChild(toast.toast);
+      toast.show();
+      this.enforceLimit(config.position);
+
+      return toast;
+    }
+
+    /**
+     * Shows one toast for the life of an async operation: it starts in the
+     * loading state and is updated in place once the promise settles. Each
+     * state is a message, options, or a function of the settled value.
+     */
+    promise(promise, states = {}, options = {}) {
+      const resolveState = (state, value, type, overrides = {}) => {
+        let result;
+
+        // A throwing state function must not leave the toast stuck or reject unhandled
+        try {
+          result = typeof state === 'function' ? state(value) : state;
+        } catch (error) {
+          console.error(`Toast ${type} state failed:`, error);
+          return null;
+        }
+
+        const config = result !== null && typeof result === 'object' && !(result instanceof Node) ? result : { message: result };
+        return { title: null, html: null, duration: this.options.duration, closable: true, ...options, ...config, ...overrides, type };
+      };
+
+      const loadingOverrides = { duration: 0, closable: false, dedupe: false };
+      const loading = resolveState(states.loading !== undefined ? states.loading : 'Loading…', undefined, 'loading', loadingOverrides) ||
+        resolveState('Loading…', undefined, 'loading', loadingOverrides);
+      const toast = this.show(loading.message, loading);
+
+      const settle = (state, value, type, reason) => {
+        const config = state !== undefined ? resolveState(state, value, type) : null;
+
+        if (config) {
+          toast.update(config);
+        } else {
+          toast.hide(reason);
+        }
+      };
+
+      Promise.resolve(promise).then(
+        value => settle(states.success, value, 'success', 'resolve'),
+        error => settle(states.error, error, 'error', 'reject')
+      );
+
+      return toast;
+    }
+
+    // Drops the oldest toasts once a position holds more than its limit
+    enforceLimit(position) {
+      const limit = this.options.limit;
+      if (!limit || limit < 1) return;
+
+      const open = this.filter(toast => toast.options.position === position && !toast.isClosing);
+      open.slice(0, Math.max(0, open.length - limit)).forEach(toast => toast.hide('limit'));
+    }
+
+    find(predicate) {
+      return Array.from(this.toasts.values()).find(predicate) || null;
+    }
+
+    filter(predicate) {
+      return Array.from(this.toasts.values()).filter(predicate);
+    }
+
+    get(id) {
+      return this.toasts.get(id) || null;
+    }
+
+    dismiss(id, reason = 'close') {
+      const toast = this.toasts.get(id);
+      if (toast) {
+        toast.hide(reason);
+      }
+    }
+
+    closeAll(position) {
+      const target = position ? this.resolvePosition(position) : null;
+
+      this.filter(toast => !target || toast.options.position === target)
+        .forEach(toast => toast.hide('close'));
+    }
+
+    remove(toast) {
+      this.toasts.delete(toast.id);
+
+      // Empty containers are dropped so they never linger over the page
+      const container = this.containers.get(toast.options.position);
+      if (container && container.children.length === 0) {
+        container.remove();
+        this.containers.delete(toast.options.position);
+      }
+    }
+  }
+
+  const utils = new UtilityManager();
+  const motion = new MotionPolicy();
+  const sanitizer = new HtmlSanitizer();
+  const modalStack = new ModalStack();
+  const toastStack = new ToastStack();
+  const toastApi = Object.assign((message, options) => toastStack.show(message, options), {
+    success: (message, options = {}) => toastStack.show(message, { ...options, type: 'success' }),
+    error: (message, options = {}) => toastStack.show(message, { ...options, type: 'error' }),
+    warning: (message, options = {}) => toastStack.show(message, { ...options, type: 'warning' }),
+    info: (message, options = {}) => toastStack.show(message, { ...options, type: 'info' }),
+    promise: (promise, states, options) => toastStack.promise(promise, states, options),
+    get: id => toastStack.get(id),
+    dismiss: (id, reason) => toastStack.dismiss(id, reason),
+    closeAll: position => toastStack.closeAll(position),
+    configure: options => toastStack.configure(options)
+  });
+  const modalContentCache = new Map();
+  const customValidators = new Map();
+
+  // ========================================
+  // COMPONENT REGISTRY
+  // ========================================
+
+  class ComponentRegistry {
+    constructor() {
+      this.components = new Map();
+      // data-aydocs-* attributes that are not component options
+      this.reservedAttributes = ['options', 'theme'];
+    }
+
+    register(name, Component, defaults = {}, options = {}) {
+      if (typeof name !== 'string' || !name) {
+        throw new TypeError('Component name must be a non-empty string');
+      }
+
+      if (this.components.has(name)) {
+        throw new Error(`Component "${name}" is already registered`);
+      }
+
+      this.components.set(name, {
+        name,
+        Component,
+        defaults: { ...defaults },
+        selector: options.selector || `[data-aydocs="${name}"]`
+      });
+
+      return Component;
+    }
+
+    unregister(name) {
+      return this.components.delete(name);
+    }
+
+    has(name) {
+      return this.components.has(name);
+    }
+
+    get(name) {
+      return this.components.get(name);
+    }
+
+    forEach(callback) {
+      this.components.forEach(callback);
+    }
+
+    create(name, element, id, options = {}) {
+      const entry = this.get(name);
+      if (!entry) {
+        throw new Error(`Component "${name}" not found`);
+      }
+
+      return new entry.Component(element, id, { ...entry.defaults, ...options });
+    }
+
+    readOptions(name, element) {
+      const entry = this.get(name);
+      const declaredType = element.getAttribute('data-aydocs');
+
+      // Attributes belong to the component named in data-aydocs
+      if (!entry || (declaredType && declaredType !== name)) return {};
+
+      const defaults = { ...entry.Component.prototype.defaultOptions, ...entry.defaults };
+      const raw = {};
+
+      // JSON config first, individual attributes override it
+      const json = element.getAttribute('data-aydocs-options');
+      if (json) {
+        try {
+          const parsed = JSON.parse(json);
+          if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            Object.assign(raw, parsed);
+          } else {
+            console.warn(`data-aydocs-options for "${name}" must be a JSON object`);
+          }
+        } catch (error) {
+          console.warn(`Invalid data-aydocs-options JSON for "${name}": ${error.message}`);
+        }
+      }
+
+      Object.keys(element.dataset).forEach(key => {
+        if (!/^aydocs[A-Z]/.test(key)) return;
+
+        const option = key.charAt(6).toLowerCase() + key.slice(7);
+        if (!this.reservedAttributes.includes(option)) {
+          raw[option] = element.dataset[key];
+        }
+      });
+
+      const options = {};
+      Object.keys(raw).forEach(key => {
+        if (!(key in defaults)) {
+          console.warn(`Unknown option "${key}" for component "${name}"`);
+          options[key] = raw[key];
+          return;
+        }
+
+        const value = this.coerce(raw[key], defaults[key]);
+        if (value === undefined) {
+          console.warn(`Invalid value "${raw[key]}" for option "${key}" of component "${name}"`);
+        } else {
+          options[key] = value;
+        }
+      });
+
+      return options;
+    }
+
+    coerce(value, defaultValue) {
+      const expected = defaultValue === null || defaultValue === undefined ? 'any' : typeof defaultValue;
+
+      if (typeof value !== 'string') {
+        return expected === 'any' || typeof value === expected ? value : undefined;
+      }
+
+      switch (expected) {
+        case 'boolean':
+          if (value === '' || value === 'true') return true;
+          if (value === 'false') return false;
+          return undefined;
+        case 'number': {
+          const number = Number(value);
+          return value.trim() !== '' && !Number.isNaN(number) ? number : undefined;
+        }
+        case 'string':
+          return value;
+        case 'object':
+          try {
+            const parsed = JSON.parse(value);
+            return parsed && typeof parsed === 'object' ? parsed : undefined;
+          } catch {
+            return undefined;
+          }
+        default:
+          try {
+            return JSON.parse(value);
+          } catch {
+            return value;
+          }
+      }
+    }
+  }
+
+  // ========================================
+  // BASE COMPONENT CLASS
+  // ========================================
+
+  class BaseComponent {
+    constructor(element, id, options = {}) {
+      // Support the short (element, options) form
+      if (id !== null && typeof id === 'object') {
+        options = id;
+        id = null;
+      }
+
+      this.element = element;
+      this.id = id || utils.generateId();
+      this.options = { ...this.defaultOptions, ...options };
+      this.isInitialized = false;
+      this.listeners = [];
+      
+      this.init();
+    }
+
+    get defaultOptions() {
+      return {};
+    }
+
+    init() {
+      if (this.isInitialized) return;
+      
+      this.bindEvents();
+      this.isInitialized = true;
+    }
+
+    bindEvents() {
+      // Override in child classes
+    }
+
+    listen(target, eventName, handler, options) {
+      // Listeners on shared targets are removed again in destroy()
+      target.addEventListener(eventName, handler, options);
+      this.listeners.push({ target, eventName, handler, options });
+    }
+
+    destroy() {
+      this.listeners.forEach(({ target, eventName, handler, options }) => {
+        target.removeEventListener(eventName, handler, options);
+      });
+      
+      this.listeners = [];
+      this.isInitialized = false;
+    }
+
+    update(options) {
+      this.options = { ...this.options, ...options };
+    }
+  }
+
+  // ========================================
+  // COMPONENT CLASSES
+  // ========================================
+
+  class ButtonComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
+        loading: false,
+        disabled: false,
+        ripple: true
+      };
+    }
+
+    bindEvents() {
+      if (!this.element) return;
+      
+      this.element.addEventListener('click', (e) => {
+        if (this.options.ripple) {
+          this.createRipple(e);
+        }
+        
+        if (this.options.loading) {
+          e.preventDefault();
+          return;
+        }
+        
+        // Dispatch click event
+        this.element.dispatchEvent(new CustomEvent('aydocs:button:click', {
+          detail: { component: this }
+        }));
+      });
+    }
+
+    createRipple(event) {
+      const button = this.element;
+      const circle = document.createElement('span');
+      const diameter = Math.max(button.clientWidth, button.clientHeight);
+      const radius = diameter / 2;
+
+      circle.style.width = circle.style.height = `${diameter}px`;
+      circle.style.left = `${event.clientX - button.offsetLeft - radius}px`;
+      circle.style.top = `${event.clientY - button.offsetTop - radius}px`;
       circle.classList.add('ripple');
 
-      const ripple = button.getElementsByClassName('ripple')[0];
-      if (ripple) {
-        ripple.remove();
+      const ripple = button.getElementsByClassName('ripple')[0];
+      if (ripple) {
+        ripple.remove();
+      }
+
+      button.appendChild(circle);
+
+      setTimeout(() => {
+        circle.remove();
+      }, 600);
+    }
+
+    setLoading(loading) {
+      this.options.loading = loading;
+      
+      if (loading) {
+        this.element.disabled = true;
+        this.element.classList.add('loading');
+        this.originalText = this.element.textContent;
+        this.element.innerHTML = '<span class="loading-spinner"></span> Loading...';
+      } else {
+        this.element.disabled = false;
+        this.element.classList.remove('loading');
+        this.element.textContent = this.originalText;
+      }
+    }
+  }
+
+  class ModalComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
+        backdrop: true,
+        keyboard: true,
+        focus: true,
+        show: false,
+        size: 'md',
+        title: '',
+        content: '',
+        template: null,
+        src: null,
+        select: null,
+        cache: true,
+        buttons: [],
+        loadingText: 'Loading…',
+        errorText: 'This content could not be loaded.'
+      };
+    }
+
+    init() {
+      this.isOpen = false;
+      this.hideTimer = null;
+      this.contentPromise = null;
+      this.result = null;
+      this.resolveResult = null;
+
+      if (this.element) {
+        this.modal = this.element;
+      } else {
+        this.createModal();
+      }
+      
+      super.init();
+    }
+
+    createModal() {
+      const layer = document.createElement('div');
+      layer.className = 'modal-layer';
+      layer.id = this.id;
+      
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+      
+      const dialog = document.createElement('div');
+      dialog.className = `modal modal-${this.options.size}`;
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('tabindex', '-1');
+
+      if (this.options.title) {
+        dialog.setAttribute('aria-labelledby', `${this.id}-title`);
+      }
+
+      dialog.innerHTML = `
+        <div class="modal-header">
+          <h2 class="modal-title" id="${this.id}-title"></h2>
+          <button type="button" class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-body"></div>
+      `;
+      dialog.querySelector('.modal-title').textContent = this.options.title;
+
+      if (!this.hasDynamicContent()) {
+        this.setContent(this.options.content, dialog.querySelector('.modal-body'));
+      }
+
+      if (this.options.buttons.length > 0) {
+        dialog.appendChild(this.createFooter(this.options.buttons));
+      }
+      
+      layer.appendChild(backdrop);
+      layer.appendChild(dialog);
+      
+      const container = document.getElementById('modal-container');
+      if (container) {
+        container.appendChild(layer);
+        this.modal = layer;
+      }
+    }
+
+    // buttons: [{ text, value, variant, dismiss }]; dismiss buttons close without a value
+    createFooter(buttons) {
+      const footer = document.createElement('div');
+      footer.className = 'modal-footer';
+
+      buttons.forEach(button => {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = `btn btn-${button.variant || 'secondary'}`;
+        element.textContent = button.text;
+
+        if (button.dismiss) {
+          element.setAttribute('data-modal-dismiss', '');
+        } else {
+          element.setAttribute('data-modal-action', button.value !== undefined ? button.value : button.text);
+        }
+
+        footer.appendChild(element);
+      });
+
+      return footer;
+    }
+
+    getDialog() {
+      return this.modal.querySelector('[role="dialog"], .modal') || this.modal;
+    }
+
+    getBody() {
+      return this.modal.querySelector('.modal-body') || this.getDialog();
+    }
+
+    // ========================================
+    // CONTENT LOADING
+    // ========================================
+
+    hasDynamicContent() {
+      return Boolean(this.options.template || this.options.src || typeof this.options.content === 'function');
+    }
+
+    setContent(content, body = this.getBody()) {
+      if (content instanceof Node) {
+        body.replaceChildren(content);
+      } else {
+        body.innerHTML = content == null ? '' : String(content);
+      }
+    }
+
+    loadContent() {
+      if (this.contentPromise && this.options.cache) return this.contentPromise;
+
+      this.renderLoading();
+      this.contentPromise = this.fetchContent();
+      return this.contentPromise;
+    }
+
+    async fetchContent() {
+      // Uncached loads can overlap, so only the newest one may render
+      const request = (this.contentRequest || 0) + 1;
+      this.contentRequest = request;
+
+      try {
+        const content = await this.resolveContent();
+        if (this.contentRequest !== request) return content;
+
+        this.setContent(content);
+        this.modal.classList.remove('is-loading');
+
+        // Loading usually finishes after open() placed focus on the close button
+        const body = this.getBody();
+        if (this.isOpen && this.options.focus && !body.contains(document.activeElement)) {
+          const focusable = body.querySelector('[autofocus]') || body.querySelector(FOCUSABLE_SELECTOR);
+          if (focusable) focusable.focus();
+        }
+
+        this.modal.dispatchEvent(new CustomEvent('aydocs:modal:load', {
+          detail: { component: this }
+        }));
+
+        return content;
+      } catch (error) {
+        if (this.contentRequest !== request) return null;
+
+        console.warn(`Modal "${this.id}" failed to load content:`, error);
+
+        // Forget the failure so the next open (or Retry) tries again
+        this.contentPromise = null;
+        this.renderError(error);
+
+        this.modal.dispatchEvent(new CustomEvent('aydocs:modal:error', {
+          detail: { component: this, error }
+        }));
+
+        return null;
+      }
+    }
+
+    async resolveContent() {
+      const { template, src, content } = this.options;
+
+      if (template) {
+        const element = document.getElementById(template.replace(/^#/, ''));
+        if (!element || element.tagName !== 'TEMPLATE') {
+          throw new Error(`Template "${template}" not found`);
+        }
+        return element.content.cloneNode(true);
+      }
+
+      if (src) {
+        return this.fetchFragment(src);
+      }
+
+      return content(this);
+    }
+
+    async fetchFragment(src) {
+      const key = `${src} ${this.options.select || ''}`;
+
+      if (this.options.cache && modalContentCache.has(key)) {
+        return modalContentCache.get(key);
+      }
+
+      const response = await fetch(src, {
+        credentials: 'same-origin',
+        headers: { Accept: 'text/html' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+
+      let html = await response.text();
+
+      if (this.options.select) {
+        const parsed = document.createElement('template');
+        parsed.innerHTML = html;
+
+        const fragment = parsed.content.querySelector(this.options.select);
+        if (!fragment) {
+          throw new Error(`"${this.options.select}" not found in ${src}`);
+        }
+        html = fragment.outerHTML;
+      }
+
+      if (this.options.cache) {
+        modalContentCache.set(key, html);
+      }
+
+      return html;
+    }
+
+    renderLoading() {
+      const loading = document.createElement('div');
+      loading.className = 'modal-loading';
+      loading.setAttribute('role', 'status');
+      loading.innerHTML = '<span class="modal-spinner loading-spinner" aria-hidden="true"></span><span></span>';
+      loading.lastChild.textContent = this.options.loadingText;
+
+      this.modal.classList.add('is-loading');
+      this.setContent(loading);
+    }
+
+    renderError(error) {
+      const message = document.createElement('div');
+      message.className = 'modal-error';
+      message.setAttribute('role', 'alert');
+      message.innerHTML = '<p></p><button type="button" class="btn btn-secondary btn-sm">Retry</button>';
+      message.firstChild.textContent = this.options.errorText;
+      message.lastChild.addEventListener('click', () => this.loadContent());
+
+      this.modal.classList.remove('is-loading');
+      this.setContent(message);
+    }
+
+    bindEvents() {
+      if (!this.modal) return;
+      
+      // Close on backdrop click
+      const backdrop = this.modal.querySelector('.modal-backdrop');
+      if (backdrop && this.options.backdrop) {
+        backdrop.addEventListener('click', () => this.close('backdrop'));
+      }
+      
+      // Escape is handled by the modal stack so only the top modal closes
+      
+      // Close button
+      const closeBtn = this.modal.querySelector('.modal-close');
+      if (closeBtn) {
+        closeBtn.addEventListener('click', () => this.close('close'));
+      }
+
+      // Action buttons resolve the result with their value; dismiss buttons just close
+      this.modal.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-modal-action], [data-modal-dismiss]');
+        if (!action || !this.modal.contains(action)) return;
+
+        e.preventDefault();
+
+        if (action.hasAttribute('data-modal-dismiss')) {
+          this.close('close');
+        } else {
+          this.close('action', { value: action.getAttribute('data-modal-action') });
+        }
+      });
+    }
+
+    // Settles the result of the current opening; without an outcome it counts as a dismissal
+    settle(reason, outcome) {
+      if (!this.resolveResult) return;
+
+      const resolve = this.resolveResult;
+      this.resolveResult = null;
+
+      resolve(outcome ? { dismissed: false, reason, ...outcome } : { dismissed: true, reason });
+    }
+
+    open() {
+      if (!this.modal || this.isOpen) return;
+      
+      clearTimeout(this.hideTimer);
+      this.modal.style.display = 'flex';
+      this.isOpen = true;
+      this.result = new Promise(resolve => {
+        this.resolveResult = resolve;
+      });
+      modalStack.push(this);
+
+      if (this.hasDynamicContent()) {
+        this.loadContent();
+      }
+      
+      // Animate in
+      requestAnimationFrame(() => {
+        this.modal.classList.add('show');
+        const backdrop = this.modal.querySelector('.modal-backdrop');
+        if (backdrop) backdrop.classList.add('show');
+      });
+      
+      // Focus management
+      if (this.options.focus) {
+        const dialog = this.getDialog();
+        const body = dialog.querySelector('.modal-body');
+        const focusable = dialog.querySelector('[autofocus]') ||
+          (body && body.querySelector(FOCUSABLE_SELECTOR)) ||
+          dialog.querySelector(FOCUSABLE_SELECTOR);
+
+        if (focusable) {
+          focusable.focus();
+        } else {
+          if (!dialog.hasAttribute('tabindex')) dialog.setAttribute('tabindex', '-1');
+          dialog.focus();
+        }
+      }
+      
+      // Dispatch event
+      this.modal.dispatchEvent(new CustomEvent('aydocs:modal:open', {
+        detail: { component: this }
+      }));
+    }
+
+    /**
+     * reason is 'escape', 'backdrop' or 'close' for dismissals; pass an
+     * outcome ({ value } or { data }) to resolve the result as an action.
+     */
+    close(reason = 'close', outcome = null) {
+      if (!this.modal || !this.isOpen) return;
+      
+      this.isOpen = false;
+      modalStack.remove(this);
+      this.settle(reason, outcome);
+
+      this.modal.classList.remove('show');
+      const backdrop = this.modal.querySelector('.modal-backdrop');
+      if (backdrop) backdrop.classList.remove('show');
+      
+      this.hideTimer = setTimeout(() => {
+        this.modal.style.display = 'none';
+        
+        // Dispatch event
+        this.modal.dispatchEvent(new CustomEvent('aydocs:modal:close', {
+          detail: { component: this, reason }
+        }));
+      }, motion.level === 'full' ? 300 : 0);
+    }
+
+    destroy() {
+      if (this.isOpen) {
+        this.isOpen = false;
+        modalStack.remove(this);
+      }
+
+      this.settle('destroy');
+
+      clearTimeout(this.hideTimer);
+      super.destroy();
+
+      // Only remove markup we generated ourselves
+      if (!this.element && this.modal && this.modal.parentNode) {
+        this.modal.parentNode.removeChild(this.modal);
+      }
+    }
+  }
+
+  class ToastComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
+        type: 'info',
+        title: null,
+        message: '',
+        html: null,
+        duration: 5000,
+        position: 'top-end',
+        closable: true,
+        icon: true,
+        progress: true,
+        actions: [],
+        pauseOnHover: true,
+        pauseOnFocus: true,
+        dedupe: true,
+        key: null
+      };
+    }
+
+    init() {
+      this.timer = null;
+      this.remaining = 0;
+      this.timerStarted = 0;
+      this.isPaused = false;
+      this.pauseReasons = new Set();
+      this.isClosing = false;
+      this.count = 1;
+      this.result = new Promise(resolve => {
+        this.resolveResult = resolve;
+      });
+
+      if (this.element) {
+        this.toast = this.element;
+      } else {
+        this.createToast();
+      }
+      
+      super.init();
+    }
+
+    createToast() {
+      const toast = document.createElement('div');
+      toast.id = this.id;
+      toast.setAttribute('data-toast-id', this.id);
+      toast.setAttribute('aria-atomic', 'true');
+      
+      // The toast stack decides which container it lands in
+      this.toast = toast;
+      this.render();
+    }
+
+    render() {
+      const toast = this.toast;
+      const { type, duration } = this.options;
+
+      toast.className = `toast toast-${type}`;
+      toast.setAttribute('role', ['error', 'warning'].includes(type) ? 'alert' : 'status');
+      toast.setAttribute('aria-busy', String(type === 'loading'));
+      
+      const icon = this.options.icon ? `<div class="toast-icon">${this.getIcon()}</div>` : '';
+      const title = this.options.title === false ? '' : '<div class="toast-title"></div>';
+      const closeBtn = this.options.closable ? 
+        '<button type="button" class="toast-close" aria-label="Close">&times;</button>' : '';
+      const progress = this.options.progress && duration > 0 ?
+        '<div class="toast-progress" aria-hidden="true"><div class="toast-progress-bar"></div></div>' : '';
+      
+      toast.innerHTML = `
+        ${icon}
+        <div class="toast-content">
+          ${title}
+          <div class="toast-message"></div>
+        </div>
+        <span class="toast-count"${this.count > 1 ? '' : ' hidden'}>×${this.count}</span>
+        ${closeBtn}
+        ${progress}
+      `;
+
+      // Text is always escaped; markup only arrives through the sanitized `html` option
+      if (title) {
+        sanitizer.setContent(toast.querySelector('.toast-title'), this.options.title || this.getDefaultTitle());
+      }
+
+      const hasHtml = this.options.html !== null && this.options.html !== undefined && this.options.html !== false;
+      sanitizer.setContent(
+        toast.querySelector('.toast-message'),
+        hasHtml ? this.options.html : this.options.message,
+        { html: hasHtml }
+      );
+
+      const actions = this.options.actions || [];
+      if (actions.length > 0) {
+        toast.querySelector('.toast-content').appendChild(this.createActions(actions));
+      }
+    }
+
+    createActions(actions) {
+      const container = document.createElement('div');
+      container.className = 'toast-actions';
+
+      actions.forEach((action, index) => {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = `toast-action btn btn-sm btn-${action.variant || 'ghost'}`;
+        element.textContent = action.text;
+        element.setAttribute('data-toast-action', String(index));
+        container.appendChild(element);
+      });
+
+      return container;
+    }
+
+    getIcon() {
+      if (this.options.type === 'loading') {
+        return '<span class="toast-spinner loading-spinner"></span>';
+      }
+
+      const icons = {
+        success: '<svg viewBox="0 0 24 24"><path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>',
+        error: '<svg viewBox="0 0 24 24"><path d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>',
+        warning: '<svg viewBox="0 0 24 24"><path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/></svg>',
+        info: '<svg viewBox="0 0 24 24"><path d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>'
+      };
+      
+      return icons[this.options.type] || icons.info;
+    }
+
+    getDefaultTitle() {
+      const titles = {
+        success: 'Success',
+        error: 'Error',
+        warning: 'Warning',
+        info: 'Information',
+        loading: 'Loading'
+      };
+      
+      return titles[this.options.type] || 'Notification';
+    }
+
+    bindEvents() {
+      if (!this.toast) return;
+      
+      // Delegated so the buttons survive a re-render
+      this.toast.addEventListener('click', (e) => {
+        if (e.target.closest('.toast-close')) {
+          this.hide('close');
+          return;
+        }
+
+        const button = e.target.closest('[data-toast-action]');
+        if (button) {
+          this.runAction(this.options.actions[Number(button.getAttribute('data-toast-action'))]);
+        }
+      });
+      
+      if (this.options.pauseOnHover) {
+        this.toast.addEventListener('mouseenter', () => this.pause('hover'));
+        this.toast.addEventListener('mouseleave', () => this.resume('hover'));
+      }
+
+      if (this.options.pauseOnFocus) {
+        this.toast.addEventListener('focusin', () => this.pause('focus'));
+        this.toast.addEventListener('focusout', (e) => {
+          if (!this.toast.contains(e.relatedTarget)) {
+            this.resume('focus');
+          }
+        });
+      }
+    }
+
+    runAction(action) {
+      if (!action) return;
+
+      const value = action.value !== undefined ? action.value : action.text;
+
+      if (typeof action.handler === 'function') {
+        action.handler(this, value);
+      }
+
+      if (action.dismiss !== false) {
+        this.hide('action', { value });
+      }
+    }
+
+    // Settles the toast result; without an outcome it counts as a dismissal
+    settle(reason, outcome) {
+      if (!this.resolveResult) return;
+
+      const resolve = this.resolveResult;
+      this.resolveResult = null;
+
+      resolve(outcome ? { dismissed: false, reason, ...outcome } : { dismissed: true, reason });
+    }
+
+    show() {
+      if (!this.toast) return;
+      
+      this.toast.style.display = 'flex';
+      
+      requestAnimationFrame(() => {
+        this.toast.classList.add('show');
+      });
+
+      this.startTimer();
+      
+      // Dispatch event
+      this.toast.dispatchEvent(new CustomEvent('aydocs:toast:show', {
+        bubbles: true,
+        detail: { component: this }
+      }));
+    }
+
+    // Re-renders in place, e.g. when a promise toast settles
+    update(options) {
+      super.update(options);
+
+      if (!this.toast || this.isClosing) return;
+
+      const isShown = this.toast.classList.contains('show');
+      this.render();
+      this.toast.classList.toggle('show', isShown);
+      this.startTimer();
+
+      this.toast.dispatchEvent(new CustomEvent('aydocs:toast:update', {
+        bubbles: true,
+        detail: { component: this }
+      }));
+    }
+
+    // Called by the toast stack when the same message is raised again
+    refresh() {
+      this.count++;
+
+      const badge = this.toast.querySelector('.toast-count');
+      if (badge) {
+        badge.textContent = `×${this.count}`;
+        badge.hidden = false;
+      }
+
+      this.startTimer();
+    }
+
+    startTimer(duration = this.options.duration) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.remaining = duration > 0 ? duration : 0;
+      this.setCountdown(this.remaining);
+
+      if (!this.remaining || this.isPaused) return;
+
+      this.timerStarted = Date.now();
+      this.timer = setTimeout(() => this.hide('timeout'), this.remaining);
+    }
+
+    setCountdown(duration) {
+      const bar = this.toast && this.toast.querySelector('.toast-progress-bar');
+      if (!bar) return;
+
+      // Restart the bar from full width
+      bar.style.animation = 'none';
+      if (!duration) return;
+
+      void bar.offsetWidth;
+      bar.style.animation = `toast-countdown ${duration}ms linear forwards`;
+      bar.style.animationPlayState = this.isPaused ? 'paused' : 'running';
+    }
+
+    hide(reason = 'close', outcome = null) {
+      if (!this.toast || this.isClosing) return;
+      
+      this.isClosing = true;
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.toast.classList.remove('show');
+      this.toast.classList.add('hide');
+      this.settle(reason, outcome);
+      
+      setTimeout(() => {
+        if (this.toast.parentNode) {
+          this.toast.parentNode.removeChild(this.toast);
+        }
+
+        toastStack.remove(this);
+        
+        // Dispatch event
+        document.dispatchEvent(new CustomEvent('aydocs:toast:hide', {
+          detail: { component: this, reason }
+        }));
+      }, motion.level === 'full' ? 300 : 0);
+    }
+
+    close(reason, outcome) {
+      this.hide(reason, outcome);
+    }
+
+    pause(source = 'api') {
+      this.pauseReasons.add(source);
+      if (this.isPaused || this.isClosing) return;
+
+      this.isPaused = true;
+
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remaining -= Date.now() - this.timerStarted;
+      }
+
+      const bar = this.toast && this.toast.querySelector('.toast-progress-bar');
+      if (bar) {
+        bar.style.animationPlayState = 'paused';
+      }
+    }
+
+    resume(source = 'api') {
+      this.pauseReasons.delete(source);
+      // Hover and focus each hold the timer until both have let go
+      if (!this.isPaused || this.isClosing || this.pauseReasons.size > 0) return;
+
+      this.isPaused = false;
+
+      const bar = this.toast && this.toast.querySelector('.toast-progress-bar');
+      if (bar) {
+        bar.style.animationPlayState = 'running';
+      }
+
+      if (this.remaining > 0) {
+        this.timerStarted = Date.now();
+        this.timer = setTimeout(() => this.hide('timeout'), this.remaining);
+      }
+    }
+
+    destroy() {
+      clearTimeout(this.timer);
+      this.settle('destroy');
+      super.destroy();
+    }
+  }
+
+  class FormComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
+        validation: true,
+        ajax: false,
+        resetOnSubmit: true,
+        schema: null,
+        encoding: null,
+        headers: {},
+        csrfToken: null,
+        csrfHeader: 'X-CSRF-Token',
+        notify: true,
+        autosave: false,
+        autosaveDelay: 500,
+        autosaveKey: null,
+        handler: null
+      };
+    }
+
+    init() {
+      // Latest validation run per field, so stale async results are dropped
+      this.validationRuns = new WeakMap();
+      
+      // Our own rules render the errors instead of the browser bubbles
+      if (this.element && this.options.validation) {
+        this.element.noValidate = true;
+      }
+      
+      super.init();
+      
+      if (this.element && this.options.autosave) {
+        this.initAutosave();
+      }
+    }
+
+    bindEvents() {
+      if (!this.element) return;
+      
+      this.element.addEventListener('submit', (e) => {
+        if (this.options.validation) {
+          e.preventDefault();
+          const submitter = e.submitter;
+          this.validate()
+            .then(isValid => {
+              if (isValid) return this.submit(submitter);
+            })
+            .catch(error => console.error('Form submission failed:', error));
+          return;
+        }
+        
+        if (this.options.ajax || this.options.handler) {
+          e.preventDefault();
+          this.submit(e.submitter);
+        }
+      });
+      
+      // Real-time validation
+      if (this.options.validation) {
+        this.getFields().forEach(input => {
+          input.addEventListener('blur', () => {
+            this.validateField(input);
+            this.revalidateMatches(input);
+          });
+        });
+      }
+    }
+
+    submit(submitter = null) {
+      // A handler takes the data in-page instead of sending the form anywhere
+      if (typeof this.options.handler === 'function') {
+        if (this.options.autosave) {
+          this.clearDraft();
+        }
+        
+        return this.options.handler(this.serialize(this.getFormData(submitter)), this);
+      }
+      
+      if (this.options.ajax) {
+        return this.submitAjax(submitter);
+      }
+      
+      if (this.options.autosave) {
+        this.clearDraft();
+      }
+      
+      // Native submit() does not fire the submit event again, but it also drops the
+      // clicked button, so carry its name/value in a temporary hidden input
+      let submitterInput = null;
+      if (submitter && submitter.name) {
+        submitterInput = document.createElement('input');
+        submitterInput.type = 'hidden';
+        submitterInput.name = submitter.name;
+        submitterInput.value = submitter.value;
+        this.element.appendChild(submitterInput);
+      }
+      
+      try {
+        HTMLFormElement.prototype.submit.call(this.element);
+      } finally {
+        if (submitterInput) submitterInput.remove();
+      }
+    }
+
+    // FormData(form) leaves out the button that submitted the form
+    getFormData(submitter = null) {
+      const formData = new FormData(this.element);
+      
+      if (submitter && submitter.name && submitter.form === this.element) {
+        formData.append(submitter.name, submitter.value);
+      }
+      
+      return formData;
+    }
+
+    getFields() {
+      const ignoredTypes = ['submit', 'button', 'reset', 'hidden'];
+      
+      return Array.from(this.element.querySelectorAll('input, textarea, select'))
+        .filter(field => !field.disabled && !ignoredTypes.includes(field.type));
+    }
+
+    async validate(fields = this.getFields()) {
+      // Radio groups are validated once, through their first radio
+      const groups = new Set();
+      fields = fields.filter(field => {
+        if (field.type !== 'radio') return true;
+        if (groups.has(field.name)) return false;
+        
+        groups.add(field.name);
+        return true;
+      });
+      
+      const results = await Promise.all(fields.map(field => this.validateField(field)));
+      const firstInvalid = fields[results.indexOf(false)];
+      
+      if (firstInvalid) {
+        firstInvalid.focus();
       }
+      
+      return !firstInvalid;
+    }
 
-      button.appendChild(circle);
+    async validateField(field) {
+      const run = (this.validationRuns.get(field) || 0) + 1;
+      this.validationRuns.set(field, run);
+      
+      const rules = this.getFieldRules(field);
+      const value = this.getFieldValue(field);
+      
+      // Clear previous errors
+      this.clearFieldError(field);
+      
+      let error = this.checkRules(field, value, rules);
+      if (!error && value) {
+        error = await this.checkAsyncRules(field, value, rules);
+      }
+      
+      // A newer validation of this field has taken over
+      if (this.validationRuns.get(field) !== run) {
+        return !error;
+      }
+      
+      if (error) {
+        this.showFieldError(field, error);
+        return false;
+      }
+      
+      return true;
+    }
 
-      setTimeout(() => {
-        circle.remove();
-      }, 600);
+    getFieldValues() {
+      const values = {};
+      
+      // Passwords and files are never serialized
+      this.getFields().forEach(field => {
+        if (!field.name || field.type === 'password' || field.type === 'file') return;
+        
+        if (field.type === 'checkbox' || field.type === 'radio') {
+          values[field.name] = values[field.name] || [];
+          if (field.checked) values[field.name].push(field.value);
+        } else if (field.multiple) {
+          values[field.name] = Array.from(field.selectedOptions).map(option => option.value);
+        } else {
+          values[field.name] = field.value;
+        }
+      });
+      
+      return values;
     }
 
-    setLoading(loading) {
-      this.options.loading = loading;
+    setFieldValues(values) {
+      this.getFields().forEach(field => {
+        if (!(field.name in values)) return;
+        
+        const value = values[field.name];
+        if (field.type === 'checkbox' || field.type === 'radio') {
+          field.checked = [].concat(value).includes(field.value);
+        } else if (field.multiple) {
+          Array.from(field.options).forEach(option => {
+            option.selected = [].concat(value).includes(option.value);
+          });
+        } else if (field.type !== 'password' && field.type !== 'file') {
+          field.value = value;
+        }
+      });
+    }
+
+    // ========================================
+    // DRAFT AUTOSAVE
+    // ========================================
+
+    initAutosave() {
+      this.draftKey = this.options.autosaveKey || `aydocs-draft:${this.getDraftId()}`;
+      this.isDraftPending = false;
       
-      if (loading) {
-        this.element.disabled = true;
-        this.element.classList.add('loading');
-        this.originalText = this.element.textContent;
-        this.element.innerHTML = '<span class="loading-spinner"></span> Loading...';
-      } else {
-        this.element.disabled = false;
-        this.element.classList.remove('loading');
-        this.element.textContent = this.originalText;
-      }
+      const save = utils.debounce(() => this.saveDraft(), this.options.autosaveDelay);
+      this.element.addEventListener('input', save);
+      this.element.addEventListener('change', save);
+      this.element.addEventListener('aydocs:form-success', () => this.clearDraft());
+      
+      this.offerDraft();
     }
-  }
 
-  class ModalComponent extends BaseComponent {
-    get defaultOptions() {
-      return {
-        backdrop: true,
-        keyboard: true,
-        focus: true,
-        show: false,
-        size: 'md'
-      };
+    getDraftId() {
+      const name = this.element.id || this.element.getAttribute('name');
+      if (name) return name;
+      
+      // Anonymous forms on the same page must not share a draft
+      const index = Array.from(document.querySelectorAll('form')).indexOf(this.element);
+      return `${window.location.pathname}#${index}`;
     }
 
-    init() {
-      if (this.element) {
-        this.modal = this.element;
-      } else {
-        this.createModal();
+    offerDraft() {
+      const draft = this.readDraft();
+      if (!draft) return;
+      
+      const notifications = window.AYdocsNotifications;
+      if (!notifications) {
+        this.restoreDraft(draft);
+        return;
       }
       
-      super.init();
+      // Hold off saving so typing during the prompt cannot overwrite the draft
+      this.isDraftPending = true;
+      
+      notifications.question('Restore draft?', 'You have unsaved changes from your last visit.', {
+        confirmButtonText: 'Restore',
+        cancelButtonText: 'Discard'
+      }).then(result => {
+        this.isDraftPending = false;
+        
+        // Only "Discard" (deny or cancel) drops the draft; Escape, backdrop or close keep it
+        if (result.isConfirmed) {
+          this.restoreDraft(draft);
+        } else if (result.isDenied || result.dismiss === 'cancel') {
+          this.clearDraft();
+        }
+      });
     }
 
-    createModal() {
-      const modal = document.createElement('div');
-      modal.className = 'modal';
-      modal.id = this.id;
+    restoreDraft(draft) {
+      this.setFieldValues(draft.values);
       
-      const backdrop = document.createElement('div');
-      backdrop.className = 'modal-backdrop';
+      // Let dependent widgets (wizard steps, autosave) see the new values
+      this.element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    readDraft() {
+      try {
+        const draft = JSON.parse(localStorage.getItem(this.draftKey));
+        return draft && draft.values ? draft : null;
+      } catch {
+        return null;
+      }
+    }
+
+    saveDraft() {
+      if (this.isDraftPending) return;
       
-      const modalContent = document.createElement('div');
-      modalContent.className = 'modal-content';
+      const values = this.getFieldValues();
+      const hasInput = Object.values(values).some(value => Array.isArray(value) ? value.length > 0 : value !== '');
       
-      modal.appendChild(backdrop);
-      modal.appendChild(modalContent);
+      if (!hasInput) {
+        this.clearDraft();
+        return;
+      }
       
-      const container = document.getElementById('modal-container');
-      if (container) {
-        container.appendChild(modal);
-        this.modal = modal;
+      try {
+        localStorage.setItem(this.draftKey, JSON.stringify({ savedAt: Date.now(), values }));
+      } catch (error) {
+        console.warn(`Could not save form draft: ${error.message}`);
       }
     }
 
-    bindEvents() {
-      if (!this.modal) return;
+    clearDraft() {
+      try {
+        localStorage.removeItem(this.draftKey);
+      } catch {
+        // Storage unavailable, nothing to clear
+      }
+    }
+
+    getFieldValue(field) {
+      if (field.type === 'radio') {
+        // A lone radio comes back as the element itself, whose value ignores checked
+        const group = this.element.elements.namedItem(field.name);
+        if (group instanceof Element) return group.checked ? group.value : '';
+        return group ? group.value : '';
+      }
       
-      // Close on backdrop click
-      const backdrop = this.modal.querySelector('.modal-backdrop');
-      if (backdrop && this.options.backdrop) {
-        backdrop.addEventListener('click', () => this.close());
+      if (field.type === 'checkbox') {
+        return field.checked ? field.value : '';
       }
       
-      // Close on escape key
-      if (this.options.keyboard) {
-        document.addEventListener('keydown', (e) => {
-          if (e.key === 'Escape' && this.isOpen) {
-            this.close();
-          }
-        });
+      return field.value.trim();
+    }
+
+    getFieldRules(field) {
+      const rules = { messages: {} };
+      
+      // Rules declared through HTML attributes
+      if (field.hasAttribute('required')) rules.required = true;
+      if (field.type === 'email') rules.email = true;
+      if (field.type === 'url') rules.url = true;
+      if (field.type === 'tel') rules.phone = true;
+      
+      ['minlength', 'maxlength', 'min', 'max'].forEach(attribute => {
+        const number = Number(field.getAttribute(attribute));
+        if (field.hasAttribute(attribute) && !Number.isNaN(number)) {
+          rules[attribute.replace('length', 'Length')] = number;
+        }
+      });
+      
+      if (field.hasAttribute('pattern')) rules.pattern = field.getAttribute('pattern');
+      if (field.dataset.match) rules.match = field.dataset.match;
+      if (field.dataset.remote) rules.remote = field.dataset.remote;
+      if (field.dataset.validate) {
+        rules.validators = field.dataset.validate.split(/[\s,]+/).filter(Boolean);
       }
       
-      // Close button
-      const closeBtn = this.modal.querySelector('.modal-close');
-      if (closeBtn) {
-        closeBtn.addEventListener('click', () => this.close());
+      // data-message-min-length="..." overrides the minLength message
+      Object.keys(field.dataset).forEach(key => {
+        if (/^message[A-Z]/.test(key)) {
+          rules.messages[key.charAt(7).toLowerCase() + key.slice(8)] = field.dataset[key];
+        }
+      });
+      
+      // Rules from the JS schema win over attributes
+      const schemaRules = this.options.schema && field.name && this.options.schema[field.name];
+      if (schemaRules) {
+        Object.assign(rules, schemaRules, {
+          messages: { ...rules.messages, ...schemaRules.messages }
+        });
       }
+      
+      return rules;
     }
 
-    open() {
-      if (!this.modal) return;
+    checkRules(field, value, rules) {
+      // Required validation
+      if (rules.required && !value) {
+        return this.getRuleMessage('required', rules);
+      }
       
-      this.modal.style.display = 'flex';
-      this.isOpen = true;
+      // Empty optional fields skip every other rule
+      if (!value) return null;
       
-      // Animate in
-      requestAnimationFrame(() => {
-        this.modal.classList.add('show');
-        const backdrop = this.modal.querySelector('.modal-backdrop');
-        if (backdrop) backdrop.classList.add('show');
-      });
+      if (rules.email && !this.isValidEmail(value)) {
+        return this.getRuleMessage('email', rules);
+      }
       
-      // Focus management
-      if (this.options.focus) {
-        const focusable = this.modal.querySelector('input, button, textarea, select, [tabindex]:not([tabindex="-1"])');
-        if (focusable) focusable.focus();
+      if (rules.url && !this.isValidUrl(value)) {
+        return this.getRuleMessage('url', rules);
       }
       
-      // Dispatch event
-      this.modal.dispatchEvent(new CustomEvent('aydocs:modal:open', {
-        detail: { component: this }
-      }));
+      if (rules.phone && !this.isValidPhone(value)) {
+        return this.getRuleMessage('phone', rules);
+      }
+      
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return this.getRuleMessage('minLength', rules, rules.minLength);
+      }
+      
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return this.getRuleMessage('maxLength', rules, rules.maxLength);
+      }
+      
+      if (rules.min !== undefined || rules.max !== undefined) {
+        const number = Number(value);
+        
+        if (Number.isNaN(number)) {
+          return this.getRuleMessage('number', rules);
+        }
+        
+        if (rules.min !== undefined && number < rules.min) {
+          return this.getRuleMessage('min', rules, rules.min);
+        }
+        
+        if (rules.max !== undefined && number > rules.max) {
+          return this.getRuleMessage('max', rules, rules.max);
+        }
+      }
+      
+      if (rules.pattern) {
+        const pattern = this.compilePattern(rules.pattern);
+        if (pattern && !pattern.test(value)) {
+          return this.getRuleMessage('pattern', rules);
+        }
+      }
+      
+      if (rules.match) {
+        const other = this.element.elements.namedItem(rules.match);
+        if (other && other.value !== field.value) {
+          return this.getRuleMessage('match', rules, rules.match);
+        }
+      }
+      
+      return null;
     }
 
-    close() {
-      if (!this.modal || !this.isOpen) return;
+    compilePattern(pattern) {
+      if (pattern instanceof RegExp) return pattern;
       
-      this.modal.classList.remove('show');
-      const backdrop = this.modal.querySelector('.modal-backdrop');
-      if (backdrop) backdrop.classList.remove('show');
+      try {
+        return new RegExp(`^(?:${pattern})$`);
+      } catch (error) {
+        console.warn(`Invalid pattern "${pattern}":`, error.message);
+        return null;
+      }
+    }
+
+    async checkAsyncRules(field, value, rules) {
+      // Named and inline validators may return a boolean, a message or a promise
+      for (const validator of rules.validators || []) {
+        const isNamed = typeof validator === 'string';
+        const definition = isNamed ? customValidators.get(validator) : { validate: validator };
+        
+        if (!definition) {
+          console.warn(`Validator "${validator}" is not registered`);
+          continue;
+        }
+        
+        let result;
+        try {
+          result = await definition.validate(value, field, this);
+        } catch (error) {
+          // Same as remote checks: a broken validator should not block the user
+          console.warn(`Validator "${isNamed ? validator : 'custom'}" failed:`, error);
+          continue;
+        }
+        
+        if (result === false || typeof result === 'string') {
+          const name = isNamed ? validator : 'custom';
+          return typeof result === 'string'
+            ? result
+            : rules.messages[name] || definition.message || this.getRuleMessage('custom', rules);
+        }
+      }
       
-      setTimeout(() => {
-        this.modal.style.display = 'none';
-        this.isOpen = false;
+      if (rules.remote) {
+        const isAvailable = await this.checkRemote(rules.remote, field, value);
+        if (isAvailable !== true) {
+          return typeof isAvailable === 'string' ? isAvailable : this.getRuleMessage('remote', rules);
+        }
+      }
+      
+      return null;
+    }
+
+    async checkRemote(url, field, value) {
+      const endpoint = new URL(url, window.location.href);
+      endpoint.searchParams.set(field.name || 'value', value);
+      
+      try {
+        const response = await fetch(endpoint, {
+          headers: { 'Accept': 'application/json' }
+        });
         
-        // Dispatch event
-        this.modal.dispatchEvent(new CustomEvent('aydocs:modal:close', {
-          detail: { component: this }
-        }));
-      }, 300);
+        if (!response.ok) {
+          throw new Error(`Remote validation failed with status ${response.status}`);
+        }
+        
+        // Accepts either `true`/`false` or `{ valid, message }`
+        const result = await response.json();
+        if (result && typeof result === 'object') {
+          return result.valid ? true : (result.message || false);
+        }
+        
+        return result === true;
+      } catch (error) {
+        // The server still validates on submit, so do not block the user here
+        console.warn(error.message);
+        return true;
+      }
     }
-  }
 
-  class ToastComponent extends BaseComponent {
-    get defaultOptions() {
-      return {
-        type: 'info',
-        duration: 5000,
-        position: 'top-right',
-        closable: true,
-        pauseOnHover: true
+    getRuleMessage(rule, rules, param) {
+      const defaults = {
+        required: 'This field is required',
+        email: 'Please enter a valid email address',
+        url: 'Please enter a valid URL',
+        phone: 'Please enter a valid phone number',
+        minLength: 'Please enter at least {param} characters',
+        maxLength: 'Please enter no more than {param} characters',
+        number: 'Please enter a number',
+        min: 'Please enter a value of at least {param}',
+        max: 'Please enter a value no greater than {param}',
+        pattern: 'Please match the requested format',
+        match: 'This field does not match',
+        remote: 'This value is not available',
+        custom: 'Please enter a valid value'
       };
+      
+      const message = rules.messages[rule] || defaults[rule];
+      return message.replace('{param}', param);
     }
 
-    init() {
-      if (this.element) {
-        this.toast = this.element;
-      } else {
-        this.createToast();
+    revalidateMatches(field) {
+      if (!field.name) return;
+      
+      this.getFields().forEach(other => {
+        if (other !== field && other.value && this.getFieldRules(other).match === field.name) {
+          this.validateField(other);
+        }
+      });
+    }
+
+    showFieldError(field, message) {
+      field.classList.add('is-error');
+      field.setAttribute('aria-invalid', 'true');
+      
+      let errorElement = field.parentNode.querySelector('.form-error');
+      if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.className = 'form-error';
+        field.parentNode.appendChild(errorElement);
       }
       
-      super.init();
+      errorElement.textContent = message;
+    }
+
+    clearFieldError(field) {
+      field.classList.remove('is-error');
+      field.removeAttribute('aria-invalid');
+      
+      const errorElement = field.parentNode.querySelector('.form-error');
+      if (errorElement) {
+        errorElement.remove();
+      }
+    }
+
+    isValidEmail(email) {
+      const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      return re.test(email);
+    }
+
+    isValidUrl(url) {
+      try {
+        new URL(url);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
+    isValidPhone(phone) {
+      const re = /^[\+]?[1-9][\d]{0,15}$/;
+      return re.test(phone.replace(/[\s\-\(\)]/g, ''));
     }
 
-    createToast() {
-      const toast = document.createElement('div');
-      toast.className = `toast toast-${this.options.type}`;
-      toast.id = this.id;
+    async submitAjax(submitter = null) {
+      const request = this.buildRequest(submitter);
       
-      const icon = this.getIcon();
-      const closeBtn = this.options.closable ? 
-        '<button class="toast-close" aria-label="Close">&times;</button>' : '';
+      // Let the page veto or tweak the request
+      if (!this.dispatch('aydocs:form-submit', { request })) {
+        return null;
+      }
       
-      toast.innerHTML = `
-        <div class="toast-icon">${icon}</div>
-        <div class="toast-content">
-          <div class="toast-title">${this.options.title || this.getDefaultTitle()}</div>
-          <div class="toast-message">${this.options.message}</div>
-        </div>
-        ${closeBtn}
-      `;
+      // Resubmitting cancels the request still in flight
+      if (this.abortController) {
+        this.abortController.abort();
+      }
       
-      const container = document.getElementById('toast-container');
-      if (container) {
-        container.appendChild(toast);
-        this.toast = toast;
+      const abortController = new AbortController();
+      this.abortController = abortController;
+      
+      try {
+        // Show loading state
+        this.setLoading(true);
+        
+        const response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body,
+          signal: abortController.signal
+        });
+        
+        const data = await this.readResponse(response);
+        
+        if (!response.ok) {
+          const error = new Error(`Form submission failed with status ${response.status}`);
+          error.response = response;
+          error.data = data;
+          throw error;
+        }
+        
+        // Success
+        this.dispatch('aydocs:form-success', { response, data });
+        
+        if (this.options.notify && window.AYdocs) {
+          window.AYdocs.showToast('Form submitted successfully!', 'success');
+        }
+        
+        if (this.options.resetOnSubmit) {
+          this.element.reset();
+        }
+        
+        return data;
+      } catch (error) {
+        // A newer submission took over
+        if (error.name === 'AbortError') return null;
+        
+        const errors = this.applyServerErrors(error.response, error.data);
+        this.dispatch('aydocs:form-error', {
+          error,
+          response: error.response || null,
+          data: error.data || null,
+          errors
+        });
+        
+        // Error
+        if (this.options.notify && window.AYdocs) {
+          const message = errors
+            ? (error.data && error.data.message) || 'Please correct the highlighted fields.'
+            : 'Form submission failed. Please try again.';
+          window.AYdocs.showToast(message, 'error');
+        }
+        
+        return null;
+      } finally {
+        if (this.abortController === abortController) {
+          this.abortController = null;
+          this.setLoading(false);
+        }
       }
     }
 
-    getIcon() {
-      const icons = {
-        success: '<svg viewBox="0 0 24 24"><path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>',
-        error: '<svg viewBox="0 0 24 24"><path d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>',
-        warning: '<svg viewBox="0 0 24 24"><path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/></svg>',
-        info: '<svg viewBox="0 0 24 24"><path d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>'
-      };
+    buildRequest(submitter = null) {
+      const formData = this.getFormData(submitter);
+      const method = (this.element.getAttribute('method') || 'POST').toUpperCase();
+      const encoding = this.getEncoding();
+      const headers = { 'Accept': 'application/json', ...this.options.headers };
+      let url = this.element.getAttribute('action') || '/submit';
+      let body;
       
-      return icons[this.options.type] || icons.info;
-    }
-
-    getDefaultTitle() {
-      const titles = {
-        success: 'Success',
-        error: 'Error',
-        warning: 'Warning',
-        info: 'Information'
-      };
+      const csrfToken = this.getCsrfToken();
+      if (csrfToken && method !== 'GET') {
+        headers[this.options.csrfHeader] = csrfToken;
+      }
       
-      return titles[this.options.type] || 'Notification';
+      if (method === 'GET' || method === 'HEAD') {
+        const query = new URLSearchParams(formData).toString();
+        url += (url.includes('?') ? '&' : '?') + query;
+      } else if (encoding === 'multipart') {
+        // The browser sets the multipart boundary itself
+        body = formData;
+      } else if (encoding === 'urlencoded') {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
+        body = new URLSearchParams(formData).toString();
+      } else {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(this.serialize(formData));
+      }
+      
+      return { url, method, encoding, headers, body };
     }
 
-    bindEvents() {
-      if (!this.toast) return;
+    getEncoding() {
+      if (this.options.encoding) {
+        return this.options.encoding;
+      }
       
-      // Close button
-      const closeBtn = this.toast.querySelector('.toast-close');
-      if (closeBtn) {
-        closeBtn.addEventListener('click', () => this.hide());
+      // Files can only travel as multipart
+      const hasFiles = Array.from(this.element.querySelectorAll('input[type="file"]'))
+        .some(input => input.files && input.files.length > 0);
+      if (hasFiles) {
+        return 'multipart';
       }
       
-      // Pause on hover
-      if (this.options.pauseOnHover) {
-        this.toast.addEventListener('mouseenter', () => this.pause());
-        this.toast.addEventListener('mouseleave', () => this.resume());
+      switch (this.element.getAttribute('enctype')) {
+        case 'multipart/form-data':
+          return 'multipart';
+        case 'application/x-www-form-urlencoded':
+        case 'text/plain':
+          return 'urlencoded';
+        default:
+          return 'json';
       }
     }
 
-    show() {
-      if (!this.toast) return;
+    getCsrfToken() {
+      if (this.options.csrfToken) {
+        return this.options.csrfToken;
+      }
       
-      this.toast.style.display = 'flex';
+      const meta = document.querySelector('meta[name="csrf-token"]');
+      return meta ? meta.getAttribute('content') : null;
+    }
+
+    serialize(formData) {
+      const data = {};
       
-      requestAnimationFrame(() => {
-        this.toast.classList.add('show');
+      // Repeated names (checkbox lists, multi-selects) become arrays
+      formData.forEach((value, key) => {
+        if (!(key in data)) {
+          data[key] = value;
+        } else if (Array.isArray(data[key])) {
+          data[key].push(value);
+        } else {
+          data[key] = [data[key], value];
+        }
       });
       
-      // Dispatch event
-      this.toast.dispatchEvent(new CustomEvent('aydocs:toast:show', {
-        detail: { component: this }
-      }));
+      return data;
     }
 
-    hide() {
-      if (!this.toast) return;
+    async readResponse(response) {
+      const contentType = response.headers.get('Content-Type') || '';
       
-      this.toast.classList.remove('show');
+      try {
+        return contentType.includes('application/json') ? await response.json() : await response.text();
+      } catch {
+        return null;
+      }
+    }
+
+    applyServerErrors(response, data) {
+      // Structured validation errors: 422 with { errors: { field: message } }
+      if (!response || response.status !== 422 || !data || !data.errors || typeof data.errors !== 'object') {
+        return null;
+      }
       
-      setTimeout(() => {
-        if (this.toast.parentNode) {
-          this.toast.parentNode.removeChild(this.toast);
+      let firstField = null;
+      
+      Object.entries(data.errors).forEach(([name, message]) => {
+        let field = this.element.elements.namedItem(name);
+        if (field && !(field instanceof Element)) {
+          field = field[0];
         }
         
-        // Dispatch event
-        document.dispatchEvent(new CustomEvent('aydocs:toast:hide', {
-          detail: { component: this }
-        }));
-      }, 300);
+        if (field) {
+          this.showFieldError(field, Array.isArray(message) ? message[0] : message);
+          firstField = firstField || field;
+        }
+      });
+      
+      if (firstField) {
+        firstField.focus();
+      }
+      
+      return data.errors;
     }
 
-    pause() {
-      // Pause auto-hide timer
+    dispatch(eventName, detail = {}) {
+      return this.element.dispatchEvent(new CustomEvent(eventName, {
+        bubbles: true,
+        cancelable: eventName === 'aydocs:form-submit',
+        detail: { component: this, ...detail }
+      }));
     }
 
-    resume() {
-      // Resume auto-hide timer
+    setLoading(loading) {
+      const submitBtn = this.element.querySelector('button[type="submit"]');
+      if (submitBtn) {
+        if (loading) {
+          submitBtn.disabled = true;
+          submitBtn.classList.add('loading');
+        } else {
+          submitBtn.disabled = false;
+          submitBtn.classList.remove('loading');
+        }
+      }
     }
   }
 
-  class FormComponent extends BaseComponent {
+  class WizardComponent extends FormComponent {
     get defaultOptions() {
       return {
-        validation: true,
-        ajax: false,
-        resetOnSubmit: true
+        ...super.defaultOptions,
+        startStep: 0,
+        showProgress: true,
+        persist: true,
+        storageKey: null
       };
     }
 
+    init() {
+      this.steps = [];
+      this.currentStep = -1;
+      
+      if (this.element) {
+        this.steps = Array.from(this.element.querySelectorAll('[data-wizard-step]'));
+        this.storageKey = this.options.storageKey ||
+          `aydocs-wizard:${this.element.id || this.element.getAttribute('name') || window.location.pathname}`;
+      }
+      
+      super.init();
+      
+      if (!this.element || this.steps.length === 0) return;
+      
+      const saved = this.options.persist ? this.restoreProgress() : null;
+      
+      if (this.options.showProgress) {
+        this.createProgress();
+      }
+      
+      const startStep = saved && typeof saved.step === 'number' ? saved.step : this.options.startStep;
+      this.showStep(this.isStepSkipped(startStep) ? this.findStep(-1, 1) : startStep);
+    }
+
     bindEvents() {
       if (!this.element) return;
       
+      // Enter on an intermediate step moves forward instead of submitting
       this.element.addEventListener('submit', (e) => {
-        if (this.options.validation && !this.validate()) {
+        if (!this.isLastStep()) {
           e.preventDefault();
-          return;
+          e.stopImmediatePropagation();
+          this.next();
         }
-        
-        if (this.options.ajax) {
+      });
+      
+      super.bindEvents();
+      
+      this.element.addEventListener('click', (e) => {
+        if (e.target.closest('[data-wizard-next]')) {
+          e.preventDefault();
+          this.next();
+        } else if (e.target.closest('[data-wizard-prev]')) {
           e.preventDefault();
-          this.submitAjax();
+          this.prev();
         }
       });
       
-      // Real-time validation
-      if (this.options.validation) {
-        const inputs = this.element.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-          input.addEventListener('blur', () => this.validateField(input));
-        });
+      // Answers can change which steps apply
+      this.element.addEventListener('change', () => this.updateProgress());
+      
+      if (this.options.persist) {
+        const save = utils.debounce(() => this.saveProgress(), 300);
+        this.element.addEventListener('input', save);
+        this.element.addEventListener('change', save);
+        this.element.addEventListener('aydocs:form-success', () => this.clearProgress());
       }
+      
+      // Fields are only reset after the reset event, so wait a tick
+      this.element.addEventListener('reset', () => {
+        setTimeout(() => {
+          this.showStep(this.findStep(-1, 1));
+          this.clearProgress();
+        });
+      });
     }
 
-    validate() {
-      const inputs = this.element.querySelectorAll('input[required], textarea[required], select[required]');
-      let isValid = true;
-      
-      inputs.forEach(input => {
-        if (!this.validateField(input)) {
-          isValid = false;
-        }
+    // Fields in skipped steps are not part of the submission checks
+    validate(fields = this.getActiveFields()) {
+      return super.validate(fields);
+    }
+
+    validateStep(index) {
+      return super.validate(this.getFields().filter(field => this.steps[index].contains(field)));
+    }
+
+    getActiveFields() {
+      return this.getFields().filter(field => {
+        const step = field.closest('[data-wizard-step]');
+        return !step || !this.isStepSkipped(this.steps.indexOf(step));
       });
+    }
+
+    submit(submitter = null) {
+      // Native submits leave the page, AJAX ones clear on aydocs:form-success
+      if (!this.options.ajax) {
+        this.clearProgress();
+      }
       
-      return isValid;
+      return super.submit(submitter);
     }
 
-    validateField(field) {
-      const value = field.value.trim();
-      const type = field.type;
-      const required = field.hasAttribute('required');
+    async next() {
+      const nextIndex = this.findStep(this.currentStep, 1);
+      if (nextIndex === -1 || !(await this.validateStep(this.currentStep))) {
+        return false;
+      }
       
-      // Clear previous errors
-      this.clearFieldError(field);
+      this.showStep(nextIndex);
+      return true;
+    }
+
+    prev() {
+      const prevIndex = this.findStep(this.currentStep, -1);
+      if (prevIndex === -1) return false;
       
-      // Required validation
-      if (required && !value) {
-        this.showFieldError(field, 'This field is required');
+      this.showStep(prevIndex);
+      return true;
+    }
+
+    async goTo(index) {
+      if (index < 0 || index >= this.steps.length || this.isStepSkipped(index)) {
         return false;
       }
       
-      // Type-specific validation
-      if (value) {
-        switch (type) {
-          case 'email':
-            if (!this.isValidEmail(value)) {
-              this.showFieldError(field, 'Please enter a valid email address');
-              return false;
-            }
-            break;
-          case 'url':
-            if (!this.isValidUrl(value)) {
-              this.showFieldError(field, 'Please enter a valid URL');
-              return false;
-            }
-            break;
-          case 'tel':
-            if (!this.isValidPhone(value)) {
-              this.showFieldError(field, 'Please enter a valid phone number');
-              return false;
-            }
-            break;
-        }
+      // Moving forward still has to pass every step in between
+      while (this.currentStep < index) {
+        if (!(await this.next())) return false;
+      }
+      
+      if (index < this.currentStep) {
+        this.showStep(index);
       }
       
       return true;
     }
 
-    showFieldError(field, message) {
-      field.classList.add('is-error');
+    showStep(index) {
+      if (index < 0 || index >= this.steps.length) return;
       
-      let errorElement = field.parentNode.querySelector('.form-error');
-      if (!errorElement) {
-        errorElement = document.createElement('div');
-        errorElement.className = 'form-error';
-        field.parentNode.appendChild(errorElement);
+      const previousStep = this.currentStep;
+      this.currentStep = index;
+      
+      this.steps.forEach((step, i) => {
+        step.hidden = i !== index;
+        step.classList.toggle('active', i === index);
+      });
+      
+      // Navigation buttons
+      const isFirst = this.findStep(index, -1) === -1;
+      const isLast = this.isLastStep();
+      
+      this.element.querySelectorAll('[data-wizard-prev]').forEach(button => {
+        button.hidden = isFirst;
+      });
+      this.element.querySelectorAll('[data-wizard-next]').forEach(button => {
+        button.hidden = isLast;
+      });
+      this.element.querySelectorAll('[type="submit"]').forEach(button => {
+        button.hidden = !isLast;
+      });
+      
+      this.updateProgress();
+      
+      if (this.options.persist) {
+        this.saveProgress();
       }
       
-      errorElement.textContent = message;
+      if (previousStep !== -1 && previousStep !== index) {
+        const focusable = this.steps[index].querySelector('input, select, textarea, button');
+        if (focusable) focusable.focus();
+      }
+      
+      this.dispatch('aydocs:wizard-change', { step: index, previousStep });
     }
 
-    clearFieldError(field) {
-      field.classList.remove('is-error');
-      
-      const errorElement = field.parentNode.querySelector('.form-error');
-      if (errorElement) {
-        errorElement.remove();
+    findStep(from, direction) {
+      for (let i = from + direction; i >= 0 && i < this.steps.length; i += direction) {
+        if (!this.isStepSkipped(i)) return i;
       }
+      
+      return -1;
     }
 
-    isValidEmail(email) {
-      const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      return re.test(email);
+    isLastStep() {
+      return this.findStep(this.currentStep, 1) === -1;
     }
 
-    isValidUrl(url) {
-      try {
-        new URL(url);
-        return true;
-      } catch {
-        return false;
-      }
+    isStepSkipped(index) {
+      const step = this.steps[index];
+      if (!step) return true;
+      
+      // data-step-if="plan=business", "plan!=free" or just "newsletter"
+      const condition = step.getAttribute('data-step-if');
+      if (!condition) return false;
+      
+      const [, name, operator, expected] = condition.match(/^\s*([^!=\s]+)\s*(!?=)?\s*(.*?)\s*$/) || [];
+      if (!name) return false;
+      
+      const field = this.element.elements.namedItem(name);
+      const value = field ? this.getFieldValue(field instanceof Element ? field : field[0]) : '';
+      
+      if (operator === '=') return value !== expected;
+      if (operator === '!=') return value === expected;
+      return !value;
     }
 
-    isValidPhone(phone) {
-      const re = /^[\+]?[1-9][\d]{0,15}$/;
-      return re.test(phone.replace(/[\s\-\(\)]/g, ''));
+    createProgress() {
+      this.progress = this.element.querySelector('[data-wizard-progress]');
+      
+      if (!this.progress) {
+        this.progress = document.createElement('ol');
+        this.element.insertBefore(this.progress, this.element.firstChild);
+      }
+      
+      this.progress.classList.add('wizard-progress');
+      this.progress.innerHTML = '';
+      
+      this.steps.forEach((step, index) => {
+        const item = document.createElement('li');
+        item.className = 'wizard-progress-step';
+        item.textContent = step.getAttribute('data-step-title') || `Step ${index + 1}`;
+        this.progress.appendChild(item);
+      });
     }
 
-    async submitAjax() {
-      const formData = new FormData(this.element);
-      const data = Object.fromEntries(formData);
+    updateProgress() {
+      if (!this.progress) return;
       
-      try {
-        // Show loading state
-        this.setLoading(true);
+      Array.from(this.progress.children).forEach((item, index) => {
+        const isCurrent = index === this.currentStep;
         
-        // Submit form (replace with actual endpoint)
-        const response = await fetch(this.element.action || '/submit', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(data)
-        });
+        item.classList.toggle('active', isCurrent);
+        item.classList.toggle('complete', index < this.currentStep && !this.isStepSkipped(index));
+        item.classList.toggle('skipped', this.isStepSkipped(index));
         
-        if (response.ok) {
-          // Success
-          if (window.AYdocs) {
-            window.AYdocs.showToast('Form submitted successfully!', 'success');
-          }
-          
-          if (this.options.resetOnSubmit) {
-            this.element.reset();
-          }
+        if (isCurrent) {
+          item.setAttribute('aria-current', 'step');
         } else {
-          throw new Error('Form submission failed');
+          item.removeAttribute('aria-current');
         }
+      });
+    }
+
+    saveProgress() {
+      const values = this.getFieldValues();
+      
+      try {
+        sessionStorage.setItem(this.storageKey, JSON.stringify({ step: this.currentStep, values }));
       } catch (error) {
-        // Error
-        if (window.AYdocs) {
-          window.AYdocs.showToast('Form submission failed. Please try again.', 'error');
-        }
-      } finally {
-        this.setLoading(false);
+        console.warn(`Could not save wizard progress: ${error.message}`);
       }
     }
 
-    setLoading(loading) {
-      const submitBtn = this.element.querySelector('button[type="submit"]');
-      if (submitBtn) {
-        if (loading) {
-          submitBtn.disabled = true;
-          submitBtn.classList.add('loading');
-        } else {
-          submitBtn.disabled = false;
-          submitBtn.classList.remove('loading');
-        }
+    restoreProgress() {
+      let saved;
+      
+      try {
+        saved = JSON.parse(sessionStorage.getItem(this.storageKey));
+      } catch {
+        return null;
+      }
+      
+      if (!saved || !saved.values) return null;
+      
+      // The markup changed since this was saved, so the progress no longer fits
+      if (!Number.isInteger(saved.step) || saved.step < 0 || saved.step >= this.steps.length) {
+        this.clearProgress();
+        return null;
+      }
+      
+      this.setFieldValues(saved.values);
+      return saved;
+    }
+
+    clearProgress() {
+      try {
+        sessionStorage.removeItem(this.storageKey);
+      } catch {
+        // Storage unavailable, nothing to clear
       }
     }
   }
 
   // Placeholder classes for other components
   class CardComponent extends BaseComponent {}
-  class DropdownComponent extends BaseComponent {}
-  class TabsComponent extends BaseComponent {}
-  class AccordionComponent extends BaseComponent {}
-  class CarouselComponent extends BaseComponent {}
-  class TooltipComponent extends BaseComponent {}
 
   // ========================================
   // GLOBAL EXPOSURE
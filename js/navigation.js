@@ -6,36 +6,35 @@
 (function() {
   'use strict';
 
+  const framework = window.AYdocs;
+  const { BaseComponent } = framework;
+
   // ========================================
   // NAVBAR COMPONENT
   // ========================================
 
-  class NavbarComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class NavbarComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         scrollThreshold: 50,
         autoHide: false,
         hideOnScroll: false,
         showOnScrollUp: true,
-        mobileBreakpoint: 1024,
-        ...options
+        mobileBreakpoint: 1024
       };
-      
+    }
+
+    init() {
       this.isScrolled = false;
       this.lastScrollY = 0;
       this.isHidden = false;
       this.mobileMenu = null;
       this.dropdowns = new Map();
       
-      this.init();
-    }
-
-    init() {
       if (!this.element) return;
       
       this.createMobileMenu();
-      this.bindEvents();
+      super.init();
       this.initializeDropdowns();
       this.handleScroll();
     }
@@ -172,7 +171,7 @@
       });
 
       // Close mobile menu on outside click
-      document.addEventListener('click', (e) => {
+      this.listen(document, 'click', (e) => {
         if (this.mobileMenu.classList.contains('show') && 
             !this.element.contains(e.target) && 
             !this.mobileMenu.contains(e.target)) {
@@ -181,12 +180,12 @@
       });
 
       // Handle scroll
-      if (this.options.hideOnScroll || this.options.showOnScrollUp) {
-        window.addEventListener('scroll', () => this.handleScroll());
+      if (this.options.autoHide || this.options.hideOnScroll || this.options.showOnScrollUp) {
+        this.listen(window, 'scroll', () => this.handleScroll());
       }
 
       // Handle resize
-      window.addEventListener('resize', () => this.handleResize());
+      this.listen(window, 'resize', () => this.handleResize());
     }
 
     initializeDropdowns() {
@@ -227,7 +226,7 @@
       const toggle = this.element.querySelector('.mobile-menu-toggle');
       
       this.mobileMenu.classList.remove('show');
-      toggle.classList.remove('active');
+      if (toggle) toggle.classList.remove('active');
       document.body.style.overflow = '';
       
       // Close all mobile dropdowns
@@ -272,7 +271,8 @@
       }
 
       // Handle auto hide/show
-      if (this.options.hideOnScroll && isScrollingDown && currentScrollY > 100) {
+      const hideOnScroll = this.options.autoHide || this.options.hideOnScroll;
+      if (hideOnScroll && isScrollingDown && currentScrollY > 100) {
         if (!this.isHidden) {
           this.hide();
         }
@@ -304,6 +304,8 @@
     }
 
     destroy() {
+      super.destroy();
+      
       // Close mobile menu
       this.closeMobileMenu();
       
@@ -329,6 +331,18 @@
       this.menu = menu;
       this.isOpen = false;
       
+      this.handleDocumentClick = (e) => {
+        if (this.isOpen && !this.dropdown.contains(e.target)) {
+          this.close();
+        }
+      };
+      
+      this.handleDocumentKeydown = (e) => {
+        if (e.key === 'Escape' && this.isOpen) {
+          this.close();
+        }
+      };
+      
       this.init();
     }
 
@@ -344,18 +358,10 @@
       });
 
       // Close on outside click
-      document.addEventListener('click', (e) => {
-        if (this.isOpen && !this.dropdown.contains(e.target)) {
-          this.close();
-        }
-      });
+      document.addEventListener('click', this.handleDocumentClick);
 
       // Close on escape
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen) {
-          this.close();
-        }
-      });
+      document.addEventListener('keydown', this.handleDocumentKeydown);
     }
 
     toggleDropdown() {
@@ -384,6 +390,8 @@
 
     destroy() {
       this.close();
+      document.removeEventListener('click', this.handleDocumentClick);
+      document.removeEventListener('keydown', this.handleDocumentKeydown);
     }
   }
 
@@ -391,27 +399,23 @@
   // SIDEBAR COMPONENT
   // ========================================
 
-  class SidebarComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class SidebarComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         overlay: true,
         closeOnOutsideClick: true,
-        closeOnEscape: true,
-        ...options
+        closeOnEscape: true
       };
-      
-      this.overlay = null;
-      this.isOpen = false;
-      
-      this.init();
     }
 
     init() {
+      this.overlay = null;
+      this.isOpen = false;
+      
       if (!this.element) return;
       
       this.createOverlay();
-      this.bindEvents();
+      super.init();
     }
 
     createOverlay() {
@@ -442,7 +446,7 @@
 
       // Escape key
       if (this.options.closeOnEscape) {
-        document.addEventListener('keydown', (e) => {
+        this.listen(document, 'keydown', (e) => {
           if (e.key === 'Escape' && this.isOpen) {
             this.close();
           }
@@ -451,7 +455,7 @@
 
       // Outside click
       if (this.options.closeOnOutsideClick) {
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
           if (this.isOpen && !this.element.contains(e.target) && !this.overlay?.contains(e.target)) {
             this.close();
           }
@@ -492,6 +496,7 @@
     }
 
     destroy() {
+      super.destroy();
       this.close();
       
       if (this.overlay && this.overlay.parentNode) {
@@ -504,23 +509,20 @@
   // BREADCRUMB COMPONENT
   // ========================================
 
-  class BreadcrumbComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class BreadcrumbComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         separator: '/',
         homeText: 'Home',
-        homeIcon: '<svg viewBox="0 0 24 24"><path d="M3 9l9-7 9 7v11a2 2 0 01-2 2H5a2 2 0 01-2-2z"/></svg>',
-        ...options
+        homeIcon: '<svg viewBox="0 0 24 24"><path d="M3 9l9-7 9 7v11a2 2 0 01-2 2H5a2 2 0 01-2-2z"/></svg>'
       };
-      
-      this.init();
     }
 
     init() {
       if (!this.element) return;
       
       this.buildBreadcrumb();
+      super.init();
     }
 
     buildBreadcrumb() {
@@ -573,9 +575,14 @@
         .join(' ');
     }
 
-    update(path) {
-      // Update breadcrumb for a specific path
-      window.history.pushState({}, '', path);
+    update(pathOrOptions) {
+      if (typeof pathOrOptions === 'string') {
+        // Update breadcrumb for a specific path
+        window.history.pushState({}, '', pathOrOptions);
+      } else {
+        super.update(pathOrOptions);
+      }
+      
       this.buildBreadcrumb();
     }
   }
@@ -584,10 +591,9 @@
   // PAGINATION COMPONENT
   // ========================================
 
-  class PaginationComponent {
-    constructor(element, options = {}) {
-      this.element = element;
-      this.options = {
+  class PaginationComponent extends BaseComponent {
+    get defaultOptions() {
+      return {
         currentPage: 1,
         totalPages: 1,
         maxVisible: 5,
@@ -597,18 +603,15 @@
         lastText: 'Last',
         prevText: 'Previous',
         nextText: 'Next',
-        onPageChange: null,
-        ...options
+        onPageChange: null
       };
-      
-      this.init();
     }
 
     init() {
       if (!this.element) return;
       
       this.buildPagination();
-      this.bindEvents();
+      super.init();
     }
 
     buildPagination() {
@@ -736,34 +739,35 @@
     }
 
     update(options) {
-      Object.assign(this.options, options);
+      super.update(options);
       this.buildPagination();
     }
   }
 
+  // ========================================
+  // REGISTER COMPONENTS
+  // ========================================
+
+  framework.register('navbar', NavbarComponent, {}, {
+    selector: '.navbar, [data-aydocs="navbar"]'
+  });
+  framework.register('sidebar', SidebarComponent, {}, {
+    selector: '.sidebar, [data-aydocs="sidebar"]'
+  });
+  framework.register('breadcrumb', BreadcrumbComponent, {}, {
+    selector: '.breadcrumb, [data-aydocs="breadcrumb"]'
+  });
+  framework.register('pagination', PaginationComponent, {}, {
+    selector: '.pagination, [data-aydocs="pagination"]'
+  });
+
   // ========================================
   // INITIALIZE COMPONENTS
   // ========================================
 
-  function initializeNavigation() {
-    // Initialize navbars
-    document.querySelectorAll('.navbar').forEach(element => {
-      new NavbarComponent(element);
-    });
-    
-    // Initialize sidebars
-    document.querySelectorAll('.sidebar').forEach(element => {
-      new SidebarComponent(element);
-    });
-    
-    // Initialize breadcrumbs
-    document.querySelectorAll('.breadcrumb').forEach(element => {
-      new BreadcrumbComponent(element);
-    });
-    
-    // Initialize pagination
-    document.querySelectorAll('.pagination').forEach(element => {
-      new PaginationComponent(element);
+  function initializeNavigation(root = document) {
+    ['navbar', 'sidebar', 'breadcrumb', 'pagination'].forEach(type => {
+      framework.mountComponents(type, root);
     });
   }
 
@@ -780,11 +784,4 @@
     initializeNavigation
   };
 
-  // Initialize navigation when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeNavigation);
-  } else {
-    initializeNavigation();
-  }
-
 })();
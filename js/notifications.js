@@ -10,6 +10,71 @@
   // NOTIFICATION TYPES
   // ========================================
 
+  // Defer to the framework motion policy when it is loaded
+  function isMotionAllowed() {
+    if (window.AYdocs && window.AYdocs.motion) {
+      return window.AYdocs.motion === 'full';
+    }
+
+    return !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  let warnedNoSanitizer = false;
+
+  /**
+   * Text goes in through textContent, DOM nodes are inserted as-is, and
+   * HTML strings pass through the framework sanitizer (AYdocs.sanitizer).
+   * Without the framework, HTML is shown as text rather than trusted.
+   */
+  function renderContent(element, content, html = false) {
+    const sanitizer = window.AYdocs && window.AYdocs.sanitizer;
+
+    if (content instanceof Node) {
+      element.replaceChildren(content);
+    } else if (html && sanitizer) {
+      sanitizer.setContent(element, content, { html: true });
+    } else {
+      if (html && !warnedNoSanitizer) {
+        warnedNoSanitizer = true;
+        console.warn('AYdocs notifications: js/framework.js is not loaded, so html options are shown as text');
+      }
+
+      element.textContent = content == null ? '' : String(content);
+    }
+  }
+
+  function cssEscape(value) {
+    return window.CSS && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, '\\$&');
+  }
+
+  // inputOptions may be an object of value => label or an array of { value, label }
+  function normalizeChoices(choices) {
+    if (!choices) return [];
+
+    if (Array.isArray(choices)) {
+      return choices.map(choice => choice !== null && typeof choice === 'object' ?
+        { value: String(choice.value), label: choice.label !== undefined ? choice.label : choice.value } :
+        { value: String(choice), label: choice });
+    }
+
+    return Object.entries(choices).map(([value, label]) => ({ value, label }));
+  }
+
+  function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   const NOTIFICATION_TYPES = {
     SUCCESS: 'success',
     ERROR: 'error',
@@ -20,6 +85,13 @@
     CUSTOM: 'custom'
   };
 
+  const QUEUE_PRIORITIES = {
+    LOW: 0,
+    NORMAL: 1,
+    HIGH: 2,
+    CRITICAL: 3
+  };
+
   // ========================================
   // NOTIFICATION MANAGER
   // ========================================
@@ -28,8 +100,10 @@
     constructor() {
       this.notifications = new Map();
       this.container = null;
-      this.queue = [];
+      this.pending = [];
+      this.queueSequence = 0;
       this.isProcessing = false;
+      this.queueMaxAge = null;
       this.maxNotifications = 5;
       this.defaultOptions = {
         title: '',
@@ -124,7 +198,7 @@
         if (e.key === 'Escape') {
           const topNotification = this.getTopNotification();
           if (topNotification && topNotification.options.allowEscapeKey) {
-            topNotification.close();
+            topNotification.close('esc');
           }
         }
       });
@@ -134,7 +208,7 @@
         if (e.target.classList.contains('notification-backdrop')) {
           const topNotification = this.getTopNotification();
           if (topNotification && topNotification.options.allowOutsideClick) {
-            topNotification.close();
+            topNotification.close('backdrop');
           }
         }
       });
@@ -150,6 +224,12 @@
     // ========================================
 
     fire(options = {}) {
+      // Toasts render through the framework toast stack like every other toast
+      if (options.toast) {
+        const { title, text, type, ...rest } = options;
+        return this.toast(title, text, type, rest);
+      }
+
       const notification = new Notification(this, { ...this.defaultOptions, ...options });
       this.notifications.set(notification.id, notification);
       
@@ -201,15 +281,23 @@
     }
 
     toast(title, text, type = NOTIFICATION_TYPES.INFO, options = {}) {
-      return this.fire({ 
-        title, 
-        text, 
-        type, 
-        toast: true,
-        timer: 3000,
-        showConfirmButton: false,
-        ...options 
+      const { toast: isToast, timer, toastPosition, timerProgressBar, ...rest } = options;
+      const toast = toastManager.show(text || title, type, {
+        title: text ? title : false,
+        ...rest,
+        ...(timer !== undefined && timer !== null && { duration: timer }),
+        ...(timerProgressBar !== undefined && { progress: timerProgressBar }),
+        ...(toastPosition && { position: toastPosition })
       });
+
+      if (!toast) {
+        return Promise.resolve({ isDismissed: true, dismiss: 'unavailable' });
+      }
+
+      // Resolve in the same shape as every other notification
+      return toast.result.then(result => (result.reason === 'action'
+        ? { isConfirmed: true, value: result.value }
+        : { isDismissed: true, dismiss: result.reason === 'timeout' ? 'timer' : result.reason }));
     }
 
     // Close all notifications
@@ -230,22 +318,117 @@
       }
     }
 
-    // Queue notifications
-    queue(options) {
-      this.queue.push(options);
+    // ========================================
+    // QUEUE
+    // ========================================
+
+    /**
+     * Queues a notification behind the one currently showing. Higher
+     * priorities jump ahead (FIFO within a level), a pending item with the
+     * same `key` is replaced, and items older than `maxAge` ms are dropped
+     * before they are shown. Resolves with the notification result, or
+     * `{ isDismissed: true, dismiss: 'replaced' | 'expired' | 'cleared' | 'error' }`;
+     * 'error' also carries the `error` that stopped the notification.
+     */
+    queue(options = {}) {
+      const { priority = 'normal', key = null, maxAge = this.queueMaxAge, ...notificationOptions } = options;
+      const now = Date.now();
+      const item = {
+        id: `queued_${++this.queueSequence}`,
+        sequence: this.queueSequence,
+        key,
+        priority: this.resolvePriority(priority),
+        options: notificationOptions,
+        queuedAt: now,
+        expiresAt: maxAge > 0 ? now + maxAge : null,
+        resolve: null
+      };
+      const promise = new Promise(resolve => {
+        item.resolve = resolve;
+      });
+
+      if (key !== null) {
+        this.dropPending(pending => pending.key === key, 'replaced');
+      }
+
+      this.pending.push(item);
+      this.pending.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
       this.processQueue();
+
+      return promise;
+    }
+
+    resolvePriority(priority) {
+      if (typeof priority === 'number') return priority;
+
+      const level = QUEUE_PRIORITIES[String(priority).toUpperCase()];
+      if (level === undefined) {
+        console.warn(`Unknown queue priority "${priority}", using "normal"`);
+        return QUEUE_PRIORITIES.NORMAL;
+      }
+
+      return level;
+    }
+
+    // Pending items, highest priority first
+    getQueue() {
+      this.expireQueue();
+
+      return this.pending.map(({ id, key, priority, options, queuedAt, expiresAt }) => ({
+        id, key, priority, options: { ...options }, queuedAt, expiresAt
+      }));
+    }
+
+    // Clears everything, or only items matching an id, key or predicate
+    clearQueue(filter) {
+      let predicate = () => true;
+
+      if (typeof filter === 'function') {
+        predicate = item => filter({ id: item.id, key: item.key, priority: item.priority, options: item.options });
+      } else if (filter !== undefined && filter !== null) {
+        predicate = item => item.id === filter || item.key === filter;
+      }
+
+      return this.dropPending(predicate, 'cleared');
+    }
+
+    expireQueue() {
+      const now = Date.now();
+      return this.dropPending(item => item.expiresAt !== null && item.expiresAt <= now, 'expired');
+    }
+
+    dropPending(predicate, dismiss) {
+      const dropped = this.pending.filter(predicate);
+      this.pending = this.pending.filter(item => !dropped.includes(item));
+
+      dropped.forEach(item => item.resolve({ isDismissed: true, dismiss }));
+      return dropped.length;
     }
 
     processQueue() {
-      if (this.isProcessing || this.queue.length === 0) return;
+      if (this.isProcessing) return;
+
+      this.expireQueue();
+      if (this.pending.length === 0) return;
       
       this.isProcessing = true;
-      const options = this.queue.shift();
-      
-      this.fire(options).then(() => {
+      const item = this.pending.shift();
+      const next = () => {
         this.isProcessing = false;
         this.processQueue();
-      });
+      };
+
+      let result;
+      try {
+        result = this.fire(item.options);
+      } catch (error) {
+        // A notification that fails to open must not stall everything queued behind it
+        console.error('Queued notification failed to open:', error);
+        result = Promise.reject(error);
+      }
+
+      result.then(item.resolve, error => item.resolve({ isDismissed: true, dismiss: 'error', error }));
+      result.then(next, next);
     }
   }
 
@@ -265,6 +448,8 @@
       this.isClosing = false;
       this.resolve = null;
       this.reject = null;
+      this.isValidating = false;
+      this.previewUrls = new Map();
       this.promise = new Promise((resolve, reject) => {
         this.resolve = resolve;
         this.reject = reject;
@@ -296,13 +481,8 @@
       this.element.setAttribute('aria-describedby', `${this.id}-text`);
 
       // Set position
-      if (this.options.toast) {
-        this.element.classList.add('notification-toast');
-        this.element.classList.add(`notification-toast-${this.options.toastPosition}`);
-      } else {
-        this.element.classList.add('notification-popup');
-        this.element.classList.add(`notification-${this.options.position}`);
-      }
+      this.element.classList.add('notification-popup');
+      this.element.classList.add(`notification-${this.options.position}`);
 
       // Set size
       if (this.options.width !== 'auto') {
@@ -316,14 +496,10 @@
       this.buildContent();
 
       // Add to container
-      if (this.options.toast) {
-        this.manager.container.appendChild(this.element);
-      } else {
-        if (this.backdrop) {
-          this.manager.container.appendChild(this.backdrop);
-        }
-        this.manager.container.appendChild(this.element);
+      if (this.backdrop) {
+        this.manager.container.appendChild(this.backdrop);
       }
+      this.manager.container.appendChild(this.element);
 
       // Call didRender callback
       if (this.options.didRender) {
@@ -339,7 +515,7 @@
         content += '<div class="notification-header">';
         
         if (this.options.title) {
-          content += `<h3 class="notification-title" id="${this.id}-title">${this.options.title}</h3>`;
+          content += `<h3 class="notification-title" id="${this.id}-title"></h3>`;
         }
         
         if (this.options.showCloseButton) {
@@ -351,14 +527,14 @@
 
       // Icon
       if (this.options.type !== NOTIFICATION_TYPES.CUSTOM) {
-        content += `<div class="notification-icon notification-icon-${this.options.type}">${this.getIcon()}</div>`;
+        content += `<div class="notification-icon notification-icon-${escapeHtml(this.options.type)}">${this.getIcon()}</div>`;
       }
 
       // Image
       if (this.options.imageUrl) {
-        content += `<img src="${this.options.imageUrl}" class="notification-image" alt="${this.options.imageAlt}"`;
-        if (this.options.imageWidth) content += ` width="${this.options.imageWidth}"`;
-        if (this.options.imageHeight) content += ` height="${this.options.imageHeight}"`;
+        content += `<img src="${escapeHtml(this.options.imageUrl)}" class="notification-image" alt="${escapeHtml(this.options.imageAlt)}"`;
+        if (this.options.imageWidth) content += ` width="${escapeHtml(this.options.imageWidth)}"`;
+        if (this.options.imageHeight) content += ` height="${escapeHtml(this.options.imageHeight)}"`;
         content += '>';
       }
 
@@ -366,9 +542,9 @@
       content += '<div class="notification-content">';
       
       if (this.options.html) {
-        content += `<div class="notification-html">${this.options.html}</div>`;
+        content += '<div class="notification-html"></div>';
       } else if (this.options.text) {
-        content += `<div class="notification-text" id="${this.id}-text">${this.options.text}</div>`;
+        content += `<div class="notification-text" id="${this.id}-text"></div>`;
       }
 
       // Input
@@ -378,7 +554,7 @@
 
       // Footer
       if (this.options.footer) {
-        content += `<div class="notification-footer">${this.options.footer}</div>`;
+        content += '<div class="notification-footer"></div>';
       }
 
       content += '</div>';
@@ -395,54 +571,311 @@
 
       this.element.innerHTML = content;
 
+      // User content is filled in after the skeleton so it never becomes markup
+      this.fillContent('.notification-title', this.options.title);
+      this.fillContent('.notification-html', this.options.html, true);
+      this.fillContent('.notification-text', this.options.text);
+      this.fillContent('.notification-footer', this.options.footer, true);
+
       // Bind events
       this.bindEvents();
     }
 
+    fillContent(selector, content, html = false) {
+      const element = this.element.querySelector(selector);
+      if (element && content !== null && content !== undefined) {
+        renderContent(element, content, html);
+      }
+    }
+
+    // ========================================
+    // INPUTS
+    // ========================================
+
+    // A single `input` is treated as a one-field form so both share the same code
+    getInputFields() {
+      if (this.options.input === 'form') {
+        return (this.options.inputFields || []).map((field, index) => ({
+          name: field.name || `field${index}`,
+          ...field
+        }));
+      }
+
+      return [{
+        name: 'value',
+        input: this.options.input,
+        label: this.options.inputLabel,
+        placeholder: this.options.inputPlaceholder,
+        value: this.options.inputValue,
+        options: this.options.inputOptions,
+        attributes: this.options.inputAttributes,
+        className: this.options.inputClass
+      }];
+    }
+
     buildInput() {
-      const inputType = this.options.input;
-      let input = '';
+      const fields = this.getInputFields().map(field => this.buildField(field)).join('');
 
-      if (inputType === 'text' || inputType === 'email' || inputType === 'password' || inputType === 'number') {
-        input = `<input type="${inputType}" class="notification-input ${this.options.inputClass}" placeholder="${this.options.inputPlaceholder}" value="${this.options.inputValue}"`;
-        
-        // Add input attributes
-        Object.entries(this.options.inputAttributes).forEach(([key, value]) => {
-          input += ` ${key}="${value}"`;
-        });
-        
-        input += '>';
-      } else if (inputType === 'textarea') {
-        input = `<textarea class="notification-input ${this.options.inputClass}" placeholder="${this.options.inputPlaceholder}"`;
-        
-        Object.entries(this.options.inputAttributes).forEach(([key, value]) => {
-          input += ` ${key}="${value}"`;
-        });
-        
-        input += `>${this.options.inputValue}</textarea>`;
-      } else if (inputType === 'select') {
-        input = `<select class="notification-input ${this.options.inputClass}"`;
-        
-        Object.entries(this.options.inputAttributes).forEach(([key, value]) => {
-          input += ` ${key}="${value}"`;
-        });
-        
-        input += '>';
-        
-        if (this.options.inputOptions) {
-          Object.entries(this.options.inputOptions).forEach(([value, text]) => {
-            input += `<option value="${value}"${value === this.options.inputValue ? ' selected' : ''}>${text}</option>`;
-          });
+      return `<form class="notification-input-container" novalidate>
+        ${fields}
+        <div class="notification-validation-message" id="${this.id}-error" role="alert" hidden></div>
+      </form>`;
+    }
+
+    buildField(field) {
+      const type = field.input || 'text';
+      const id = `${this.id}-${escapeHtml(field.name)}`;
+      const errorId = `${id}-error`;
+      const label = field.label ? `<label class="notification-input-label" for="${id}">${escapeHtml(field.label)}</label>` : '';
+      const common = `id="${id}" name="${escapeHtml(field.name)}" aria-describedby="${errorId}"${this.buildAttributes(field.attributes)}`;
+      const className = `notification-input ${escapeHtml(field.className || '')}`;
+      const value = field.value !== undefined && field.value !== null ? field.value : '';
+      let control = '';
+
+      if (type === 'textarea') {
+        control = `${label}<textarea class="${className}" ${common} placeholder="${escapeHtml(field.placeholder || '')}">${escapeHtml(value)}</textarea>`;
+      } else if (type === 'select') {
+        const selected = [].concat(value).map(String);
+        const options = normalizeChoices(field.options).map(choice =>
+          `<option value="${escapeHtml(choice.value)}"${selected.includes(choice.value) ? ' selected' : ''}>${escapeHtml(choice.label)}</option>`
+        ).join('');
+
+        control = `${label}<select class="${className}" ${common}>${options}</select>`;
+      } else if (type === 'radio' || (type === 'checkbox' && field.options)) {
+        // Choice lists get a fieldset so the label names the whole group
+        const checked = [].concat(value).map(String);
+        const choices = normalizeChoices(field.options).map((choice, index) => `
+          <label class="notification-choice">
+            <input type="${type}" class="notification-choice-input" id="${id}-${index}" name="${escapeHtml(field.name)}" value="${escapeHtml(choice.value)}"${checked.includes(choice.value) ? ' checked' : ''}${this.buildAttributes(field.attributes)}>
+            <span>${escapeHtml(choice.label)}</span>
+          </label>
+        `).join('');
+        const legend = field.label ? `<legend class="notification-input-label">${escapeHtml(field.label)}</legend>` : '';
+
+        control = `<fieldset class="notification-input-group" id="${id}" aria-describedby="${errorId}">${legend}${choices}</fieldset>`;
+      } else if (type === 'checkbox') {
+        control = `<label class="notification-choice">
+          <input type="checkbox" class="notification-choice-input" ${common}${value ? ' checked' : ''}>
+          <span>${escapeHtml(field.label || field.placeholder || '')}</span>
+        </label>`;
+      } else if (type === 'range') {
+        control = `${label}<div class="notification-range">
+          <input type="range" class="${className}" ${common} value="${escapeHtml(value)}">
+          <output class="notification-range-value" for="${id}">${escapeHtml(value)}</output>
+        </div>`;
+      } else if (type === 'file') {
+        control = `${label}<input type="file" class="${className}" ${common}>
+          <ul class="notification-file-preview" aria-live="polite"></ul>`;
+      } else {
+        control = `${label}<input type="${escapeHtml(type)}" class="${className}" ${common} placeholder="${escapeHtml(field.placeholder || '')}" value="${escapeHtml(value)}">`;
+      }
+
+      return `<div class="notification-field" data-field="${escapeHtml(field.name)}" data-input="${escapeHtml(type)}">
+        ${control}
+        <div class="notification-validation-message" id="${errorId}" role="alert" hidden></div>
+      </div>`;
+    }
+
+    buildAttributes(attributes = {}) {
+      return Object.entries(attributes || {})
+        // Event handler attributes are dropped, the same as the framework sanitizer does
+        .filter(([key]) => /^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/.test(key) && !/^on/i.test(key))
+        .map(([key, value]) => value === true ? ` ${key}` : ` ${key}="${escapeHtml(value)}"`)
+        .join('');
+    }
+
+    bindInputEvents() {
+      const form = this.element.querySelector('.notification-input-container');
+      if (!form) return;
+
+      // Enter in a field confirms, the same as clicking the confirm button
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.confirm();
+      });
+
+      form.addEventListener('input', (e) => {
+        if (e.target.type === 'range') {
+          const output = e.target.parentNode.querySelector('.notification-range-value');
+          if (output) output.textContent = e.target.value;
         }
-        
-        input += '</select>';
+
+        const field = e.target.closest('.notification-field');
+        if (field) this.setFieldError(field, null);
+      });
+
+      form.addEventListener('change', (e) => {
+        if (e.target.type === 'file') {
+          this.renderFilePreview(e.target);
+        }
+      });
+    }
+
+    renderFilePreview(input) {
+      const preview = input.parentNode.querySelector('.notification-file-preview');
+      if (!preview) return;
+
+      this.revokePreviews(input);
+      preview.innerHTML = '';
+
+      const urls = [];
+      Array.from(input.files || []).forEach(file => {
+        const item = document.createElement('li');
+        item.className = 'notification-file';
+
+        if (file.type.startsWith('image/') && window.URL && URL.createObjectURL) {
+          const image = document.createElement('img');
+          const url = URL.createObjectURL(file);
+          urls.push(url);
+          image.src = url;
+          image.alt = '';
+          image.className = 'notification-file-thumbnail';
+          item.appendChild(image);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'notification-file-name';
+        name.textContent = `${file.name} (${formatFileSize(file.size)})`;
+        item.appendChild(name);
+
+        preview.appendChild(item);
+      });
+
+      this.previewUrls.set(input, urls);
+    }
+
+    revokePreviews(input) {
+      const inputs = input ? [input] : Array.from(this.previewUrls.keys());
+
+      inputs.forEach(key => {
+        (this.previewUrls.get(key) || []).forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls.delete(key);
+      });
+    }
+
+    // Reads every field as its natural type: numbers, booleans, arrays, Dates and Files
+    getInputValue() {
+      const fields = this.getInputFields();
+      const values = {};
+
+      fields.forEach(field => {
+        const element = this.element.querySelector(`[data-field="${cssEscape(field.name)}"]`);
+        values[field.name] = element ? this.readField(element, field) : null;
+      });
+
+      return this.options.input === 'form' ? values : values.value;
+    }
+
+    readField(element, field) {
+      const type = field.input || 'text';
+
+      if (type === 'radio') {
+        const checked = element.querySelector('input:checked');
+        return checked ? checked.value : null;
       }
 
-      if (this.options.inputLabel) {
-        input = `<label class="notification-input-label">${this.options.inputLabel}${input}</label>`;
+      if (type === 'checkbox') {
+        const boxes = Array.from(element.querySelectorAll('input[type="checkbox"]'));
+        return field.options ? boxes.filter(box => box.checked).map(box => box.value) : boxes[0].checked;
       }
 
-      return `<div class="notification-input-container">${input}</div>`;
+      const control = element.querySelector('input, textarea, select');
+      const value = control.value;
+
+      switch (type) {
+        case 'number':
+        case 'range':
+          return value === '' ? null : Number(value);
+        case 'date':
+          return value ? new Date(`${value}T00:00`) : null;
+        case 'datetime-local':
+          return value ? new Date(value) : null;
+        case 'file': {
+          const files = Array.from(control.files || []);
+          return control.multiple ? files : files[0] || null;
+        }
+        case 'select':
+          return control.multiple ? Array.from(control.selectedOptions).map(option => option.value) : value;
+        default:
+          return value;
+      }
+    }
+
+    /**
+     * Runs the native constraints, then `inputValidator(value, notification)`,
+     * which may be async and returns nothing when valid, a message, or for
+     * forms an object of messages keyed by field name.
+     */
+    async validateInput(value) {
+      const form = this.element.querySelector('.notification-input-container');
+      const errors = {};
+
+      form.querySelectorAll('.notification-field').forEach(field => {
+        this.setFieldError(field, null);
+
+        const invalid = Array.from(field.querySelectorAll('input, textarea, select'))
+          .find(control => !control.checkValidity());
+        if (invalid) {
+          errors[field.getAttribute('data-field')] = invalid.validationMessage;
+        }
+      });
+      this.setFormError(null);
+
+      if (Object.keys(errors).length === 0 && typeof this.options.inputValidator === 'function') {
+        const result = await this.options.inputValidator(value, this);
+
+        if (result && typeof result === 'object') {
+          Object.assign(errors, result);
+        } else if (result) {
+          if (this.options.input === 'form') {
+            this.setFormError(result);
+            return false;
+          }
+
+          errors.value = result;
+        }
+      }
+
+      const names = Object.keys(errors).filter(name => errors[name]);
+      names.forEach(name => {
+        const field = form.querySelector(`[data-field="${cssEscape(name)}"]`);
+        if (field) {
+          this.setFieldError(field, errors[name]);
+        } else {
+          this.setFormError(errors[name]);
+        }
+      });
+
+      if (names.length > 0) {
+        const invalid = form.querySelector('[aria-invalid="true"]');
+        const first = invalid && invalid.tagName === 'FIELDSET' ? invalid.querySelector('input') : invalid;
+        if (first) first.focus();
+        return false;
+      }
+
+      return true;
+    }
+
+    setFieldError(field, message) {
+      const error = field.querySelector('.notification-validation-message');
+      const target = field.querySelector('fieldset') || field.querySelector('input, textarea, select');
+
+      if (target) {
+        target.setAttribute('aria-invalid', String(Boolean(message)));
+      }
+
+      if (error) {
+        error.textContent = message || '';
+        error.hidden = !message;
+      }
+    }
+
+    setFormError(message) {
+      const error = this.element.querySelector(`#${this.id}-error`);
+      if (error) {
+        error.textContent = message || '';
+        error.hidden = !message;
+      }
     }
 
     buildActions() {
@@ -473,7 +906,7 @@
       }
       
       buttons.forEach(button => {
-        actions += `<button class="${button.className}" style="background-color: ${button.color}" data-action="${button.action}">${button.text}</button>`;
+        actions += `<button class="${button.className}" style="background-color: ${escapeHtml(button.color)}" data-action="${button.action}">${escapeHtml(button.text)}</button>`;
       });
       
       actions += '</div>';
@@ -498,7 +931,7 @@
       // Close button
       const closeButton = this.element.querySelector('.notification-close');
       if (closeButton) {
-        closeButton.addEventListener('click', () => this.close());
+        closeButton.addEventListener('click', () => this.close('close'));
       }
 
       // Action buttons
@@ -523,8 +956,10 @@
         }
       }
 
+      this.bindInputEvents();
+
       // Input focus
-      const input = this.element.querySelector('.notification-input');
+      const input = this.element.querySelector('.notification-input, .notification-choice-input');
       if (input && this.options.focusConfirm) {
         setTimeout(() => input.focus(), 100);
       }
@@ -535,29 +970,56 @@
         this.confirm();
       } else if (action === 'deny') {
         this.deny();
+      } else if (action === 'cancel') {
+        this.close('cancel');
       }
     }
 
-    confirm() {
+    async confirm() {
+      if (this.isValidating || this.isClosing) return;
+
+      let value;
+
+      if (this.options.input) {
+        const confirmButton = this.element.querySelector('.notification-button-confirm');
+        value = this.getInputValue();
+
+        this.isValidating = true;
+        if (confirmButton) confirmButton.disabled = true;
+
+        let isValid = false;
+        try {
+          isValid = await this.validateInput(value);
+        } catch (error) {
+          console.warn('Notification input validation failed:', error);
+          this.setFormError(error && error.message ? error.message : String(error));
+        } finally {
+          this.isValidating = false;
+          if (confirmButton) confirmButton.disabled = false;
+        }
+
+        if (!isValid) return;
+      }
+
       if (this.options.showLoaderOnConfirm) {
         this.showLoader();
       }
 
       if (this.options.preConfirm) {
-        const result = this.options.preConfirm();
+        const result = this.options.preConfirm(value);
         if (result instanceof Promise) {
-          result.then((value) => {
-            this.resolve({ isConfirmed: true, value });
+          result.then((resolved) => {
+            this.resolve({ isConfirmed: true, value: resolved !== undefined ? resolved : value });
             this.close();
           }).catch((error) => {
             this.reject(error);
           });
         } else {
-          this.resolve({ isConfirmed: true, value: result });
+          this.resolve({ isConfirmed: true, value: result !== undefined ? result : value });
           this.close();
         }
       } else {
-        this.resolve({ isConfirmed: true });
+        this.resolve({ isConfirmed: true, value });
         this.close();
       }
     }
@@ -589,7 +1051,7 @@
     showLoader() {
       const actions = this.element.querySelector('.notification-actions');
       if (actions) {
-        actions.innerHTML = this.options.loaderHtml;
+        renderContent(actions, this.options.loaderHtml, true);
       }
     }
 
@@ -602,7 +1064,8 @@
       }
 
       // Add show classes
-      if (this.options.animation) {
+      this.isAnimated = this.options.animation && isMotionAllowed();
+      if (this.isAnimated) {
         this.element.classList.add(...this.options.showClass.popup.split(' '));
         if (this.backdrop) {
           this.backdrop.classList.add(...this.options.showClass.backdrop.split(' '));
@@ -622,11 +1085,14 @@
       }
     }
 
-    close() {
+    close(dismiss = 'close') {
       if (this.isClosing || !this.isOpen) return;
 
       this.isClosing = true;
 
+      // Anything not already confirmed or denied counts as dismissed
+      this.resolve({ isDismissed: true, dismiss });
+
       // Call willClose callback
       if (this.options.willClose) {
         this.options.willClose(this.element);
@@ -636,7 +1102,7 @@
       this.clearTimer();
 
       // Add hide classes
-      if (this.options.animation) {
+      if (this.isAnimated && isMotionAllowed()) {
         this.element.classList.remove(...this.options.showClass.popup.split(' '));
         this.element.classList.add(...this.options.hideClass.popup.split(' '));
         
@@ -656,7 +1122,7 @@
 
     startTimer() {
       this.timer = setTimeout(() => {
-        this.close();
+        this.close('timer');
       }, this.options.timer);
 
       // Update progress bar
@@ -681,6 +1147,8 @@
     }
 
     destroy() {
+      this.revokePreviews();
+
       // Call didClose callback
       if (this.options.didClose) {
         this.options.didClose(this.element);
@@ -709,38 +1177,32 @@
   // TOAST NOTIFICATIONS
   // ========================================
 
+  // Toasts are owned by the framework toast stack; this keeps the older
+  // Notify.toast* signatures working on top of it.
   class ToastManager {
-    constructor() {
-      this.container = null;
-      this.toasts = new Map();
-      this.maxToasts = 5;
-      
-      this.init();
-    }
-
-    init() {
-      this.createContainer();
-    }
+    get stack() {
+      if (!window.AYdocs || !window.AYdocs.toast) {
+        console.warn('AYdocs toasts need js/framework.js to be loaded');
+        return null;
+      }
 
-    createContainer() {
-      this.container = document.createElement('div');
-      this.container.className = 'toast-container';
-      this.container.setAttribute('aria-live', 'polite');
-      this.container.setAttribute('aria-atomic', 'true');
-      
-      document.body.appendChild(this.container);
+      return window.AYdocs.toast;
     }
 
     show(message, type = 'info', options = {}) {
-      const toast = new Toast(this, message, type, options);
-      this.toasts.set(toast.id, toast);
-      
-      if (this.toasts.size > this.maxToasts) {
-        const oldestToast = this.toasts.values().next().value;
-        oldestToast.close();
-      }
-      
-      return toast;
+      const toast = this.stack;
+      if (!toast) return null;
+
+      const { showIcon, showCloseButton, ...rest } = options;
+
+      return toast(message, {
+        title: false,
+        duration: 3000,
+        ...rest,
+        type,
+        ...(showIcon !== undefined && { icon: showIcon }),
+        ...(showCloseButton !== undefined && { closable: showCloseButton })
+      });
     }
 
     success(message, options = {}) {
@@ -759,106 +1221,16 @@
       return this.show(message, 'info', options);
     }
 
-    closeAll() {
-      this.toasts.forEach(toast => toast.close());
-    }
-  }
-
-  class Toast {
-    constructor(manager, message, type, options = {}) {
-      this.manager = manager;
-      this.message = message;
-      this.type = type;
-      this.options = {
-        duration: 3000,
-        position: 'top-right',
-        showIcon: true,
-        showCloseButton: true,
-        ...options
-      };
-      
-      this.id = this.generateId();
-      this.element = null;
-      this.timer = null;
-      
-      this.create();
-      this.show();
-    }
-
-    generateId() {
-      return 'toast_' + Math.random().toString(36).substr(2, 9);
-    }
-
-    create() {
-      this.element = document.createElement('div');
-      this.element.className = `toast toast-${this.type}`;
-      this.element.setAttribute('data-toast-id', this.id);
-      
-      let content = '';
-      
-      if (this.options.showIcon) {
-        content += `<div class="toast-icon">${this.getIcon()}</div>`;
-      }
-      
-      content += `<div class="toast-content">${this.message}</div>`;
-      
-      if (this.options.showCloseButton) {
-        content += '<button class="toast-close" aria-label="Close">×</button>';
-      }
-      
-      this.element.innerHTML = content;
-      
-      // Bind events
-      const closeButton = this.element.querySelector('.toast-close');
-      if (closeButton) {
-        closeButton.addEventListener('click', () => this.close());
-      }
-      
-      // Add to container
-      this.manager.container.appendChild(this.element);
-    }
-
-    getIcon() {
-      const icons = {
-        success: '<svg viewBox="0 0 24 24"><path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>',
-        error: '<svg viewBox="0 0 24 24"><path d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>',
-        warning: '<svg viewBox="0 0 24 24"><path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/></svg>',
-        info: '<svg viewBox="0 0 24 24"><path d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>'
-      };
-      
-      return icons[this.type] || '';
-    }
-
-    show() {
-      this.element.classList.add('toast-show');
-      
-      if (this.options.duration > 0) {
-        this.timer = setTimeout(() => {
-          this.close();
-        }, this.options.duration);
-      }
-    }
-
-    close() {
-      this.element.classList.remove('toast-show');
-      this.element.classList.add('toast-hide');
-      
-      if (this.timer) {
-        clearTimeout(this.timer);
-        this.timer = null;
-      }
-      
-      setTimeout(() => {
-        this.destroy();
-      }, 300);
+    promise(promise, states, options = {}) {
+      const toast = this.stack;
+      return toast ? toast.promise(promise, states, { title: false, ...options }) : null;
     }
 
-    destroy() {
-      if (this.element && this.element.parentNode) {
-        this.element.parentNode.removeChild(this.element);
+    closeAll() {
+      const toast = this.stack;
+      if (toast) {
+        toast.closeAll();
       }
-      
-      this.manager.toasts.delete(this.id);
     }
   }
 
@@ -885,16 +1257,20 @@
     update: (id, options) => notificationManager.update(id, options),
     getNotification: (id) => notificationManager.getNotification(id),
     queue: (options) => notificationManager.queue(options),
+    getQueue: () => notificationManager.getQueue(),
+    clearQueue: (filter) => notificationManager.clearQueue(filter),
 
     // Toast system
     toastSuccess: (message, options) => toastManager.success(message, options),
     toastError: (message, options) => toastManager.error(message, options),
     toastWarning: (message, options) => toastManager.warning(message, options),
     toastInfo: (message, options) => toastManager.info(message, options),
+    toastPromise: (promise, states, options) => toastManager.promise(promise, states, options),
     toastCloseAll: () => toastManager.closeAll(),
 
     // Constants
     TYPES: NOTIFICATION_TYPES,
+    PRIORITIES: QUEUE_PRIORITIES,
 
     // Managers
     manager: notificationManager,
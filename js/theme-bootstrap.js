@@ -0,0 +1,43 @@
+/**
+ * Adion Framework - Theme Bootstrap
+ * Applies the saved theme to <html> before first paint
+ *
+ * Load it synchronously in <head>, ahead of the stylesheets' first paint:
+ * <script src="js/theme-bootstrap.js"></script>
+ *
+ * Options mirror ThemeManager.configure() and are read from the script tag:
+ * data-storage-key (default "aydocs-theme") and data-cookie (cookie name).
+ * Keep the logic in step with themeBootstrap() in framework.js.
+ */
+
+(function() {
+  'use strict';
+
+  const script = document.currentScript;
+  const storageKey = (script && script.getAttribute('data-storage-key')) || 'aydocs-theme';
+  const cookie = script && script.getAttribute('data-cookie');
+  let theme = null;
+
+  try {
+    theme = localStorage.getItem(storageKey);
+  } catch (e) {
+    // Storage can be blocked; fall through to the cookie
+  }
+
+  if (!theme && cookie && /^[\w-]+$/.test(cookie)) {
+    const match = document.cookie.match(new RegExp('(?:^|; )' + cookie + '=([^;]*)'));
+    if (match) theme = decodeURIComponent(match[1]);
+  }
+
+  if (!theme || theme === 'system') {
+    theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  const root = document.documentElement;
+  root.className = root.className.replace(/(^|\s)theme-[\w-]+/g, '').trim();
+  root.classList.add('theme-' + theme);
+
+  if (window.matchMedia('(prefers-contrast: more)').matches) {
+    root.classList.add('theme-high-contrast');
+  }
+})();